@@ -1,5 +1,11 @@
 import primate from '@thewebchimp/primate';
 import {router as karaoke} from '#routes/default.js';
+import {router as admin} from '#routes/admin.js';
+import {router as storage} from '#routes/storage.js';
+import PipelineService from '#services/pipeline.service.js';
+import ReconcilerService from '#services/reconciler.service.js';
+import SweeperService from '#services/sweeper.service.js';
+import AclService from '#services/acl.service.js';
 
 
 await primate.setup();
@@ -7,6 +13,17 @@ await primate.start();
 
 
 primate.app.use('/', karaoke);
+primate.app.use('/', admin);
+primate.app.use('/', storage);
 
+// Las canciones privadas necesitan STORAGE_SIGNING_SECRET para firmar sus URLs
+AclService.checkSigningConfig();
 
+// Retoma las generaciones que quedaron a medias en el proceso anterior
+await PipelineService.startWorker();
 
+// Recupera las canciones cuyo callback de Suno nunca llegó
+ReconcilerService.start();
+
+// Borra los attachments y temporales de audio huérfanos
+SweeperService.start();
@@ -0,0 +1,147 @@
+// admin.controller.js
+import crypto from 'crypto';
+import KaraokeService from '#services/karaoke.service.js';
+import CallbackService from '#services/callback.service.js';
+import SweeperService from '#services/sweeper.service.js';
+
+/**
+ * Controlador "AdminController": operaciones internas protegidas con la cabecera
+ * X-Admin-Key (variable de entorno ADMIN_API_KEY).
+ * Ofrece:
+ *  - Callbacks de Suno guardados (GET /admin/callbacks)
+ *  - Reprocesar un callback guardado (POST /admin/callbacks/:callbackId/replay)
+ *  - Archivos huérfanos: informe (GET /admin/gc) y borrado (POST /admin/gc)
+ */
+
+/**
+ * Convierte un parámetro de ruta a entero positivo; devuelve null si no es válido.
+ */
+function parsePositiveInt(value) {
+	const num = parseInt(value, 10);
+	return Number.isNaN(num) || num <= 0 ? null : num;
+}
+
+class AdminController {
+	/**
+	 * Middleware: exige X-Admin-Key igual a ADMIN_API_KEY. Sin ADMIN_API_KEY
+	 * configurada las rutas de administración quedan deshabilitadas.
+	 */
+	static requireAdminKey(req, res, next) {
+		const expected = process.env.ADMIN_API_KEY;
+		if(!expected) {
+			return res.respond({
+				status: 503,
+				message: 'Admin endpoints are disabled (ADMIN_API_KEY not set)',
+			});
+		}
+
+		const received = Buffer.from(String(req.get('X-Admin-Key') || ''));
+		const valid = Buffer.from(expected);
+		if(received.length !== valid.length || !crypto.timingSafeEqual(received, valid)) {
+			return res.respond({
+				status: 401,
+				message: 'Invalid or missing admin key',
+			});
+		}
+
+		return next();
+	}
+
+	/**
+	 * GET /admin/callbacks
+	 * Lista los callbacks guardados. Filtros: status, songId, taskId, limit.
+	 */
+	static async listCallbacks(req, res) {
+		try {
+			const { status, taskId } = req.query;
+			const songId = req.query.songId ? parsePositiveInt(req.query.songId) : null;
+			const limit = parsePositiveInt(req.query.limit) || 50;
+
+			const callbacks = await CallbackService.list({ status, songId, sunoTaskId: taskId, limit });
+
+			return res.respond({
+				data: callbacks,
+				message: 'Callbacks retrieved successfully',
+			});
+		} catch(error) {
+			console.error('❌ listCallbacks error:', error);
+			return res.respond({
+				status: 500,
+				message: `Failed to list callbacks: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * POST /admin/callbacks/:callbackId/replay
+	 * Vuelve a procesar un callback guardado con el código actual (sin verificar el token).
+	 */
+	static async replayCallback(req, res) {
+		try {
+			const callbackId = parsePositiveInt(req.params.callbackId);
+			if(!callbackId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: callbackId must be a positive integer',
+				});
+			}
+
+			const result = await KaraokeService.replayCallback(callbackId);
+
+			return res.respond({
+				data: result,
+				message: 'Callback replayed successfully',
+			});
+		} catch(error) {
+			console.error('❌ replayCallback error:', error);
+			return res.respond({
+				status: error.message === 'Callback not found' ? 404 : 500,
+				message: `Failed to replay callback: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * GET /admin/gc
+	 * Informa de los attachments y temporales de audio huérfanos que se borrarían.
+	 */
+	static async previewGarbage(req, res) {
+		try {
+			const report = await SweeperService.sweep({ dryRun: true });
+
+			return res.respond({
+				data: report,
+				message: 'Orphaned files listed successfully',
+			});
+		} catch(error) {
+			console.error('❌ previewGarbage error:', error);
+			return res.respond({
+				status: 500,
+				message: `Failed to list orphaned files: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * POST /admin/gc
+	 * Borra ahora (almacenamiento y base de datos) los archivos huérfanos fuera del periodo de gracia.
+	 */
+	static async collectGarbage(req, res) {
+		try {
+			const report = await SweeperService.sweep();
+
+			return res.respond({
+				data: report,
+				message: 'Orphaned files collected successfully',
+			});
+		} catch(error) {
+			console.error('❌ collectGarbage error:', error);
+			return res.respond({
+				status: error.message === 'A sweep is already running' ? 409 : 500,
+				message: `Failed to collect orphaned files: ${ error.message }`,
+			});
+		}
+	}
+}
+
+export default AdminController;
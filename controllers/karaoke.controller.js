@@ -1,6 +1,10 @@
 // karaoke.controller.js
 import primate from '@thewebchimp/primate';
 import KaraokeService from '#services/karaoke.service.js';
+import IdempotencyService from '#services/idempotency.service.js';
+import EventService from '#services/event.service.js';
+import CallbackService from '#services/callback.service.js';
+import AclService from '#services/acl.service.js';
 
 /**
  * Controlador "KaraokeController" sin usuarios.
@@ -14,8 +18,89 @@ import KaraokeService from '#services/karaoke.service.js';
  *  - Config global (GET /karaoke/config)
  *  - Estadísticas (GET /karaoke/stats)
  *  - Detalle extendido (GET /karaoke/:songId/detailed)
+ *  - Progreso del pipeline (GET /karaoke/:songId/pipeline)
+ *  - Reanudar una generación fallida (POST /karaoke/:songId/resume)
+ *  - Vista previa sin Suno (POST /karaoke/preview, GET /karaoke/:songId/preview)
+ *  - Promover un borrador a canción (POST /karaoke/:songId/promote)
+ *  - Aprobación de letras (PUT /karaoke/:songId/draft, POST .../approve, POST .../reject)
+ *  - Editar letra y re-renderizar (PUT /karaoke/:songId/lyrics, POST /karaoke/:songId/render)
+ *  - Versiones y take principal (GET /karaoke/:songId/versions, PUT /karaoke/:songId/primary)
+ *  - Remix a otro estilo (POST /karaoke/:songId/remix)
+ *  - Cancelar una generación en curso (DELETE /karaoke/:songId/generation)
+ *  - Progreso en tiempo real por SSE (GET /karaoke/:songId/events)
+ *  - Letra sincronizada de un track (GET /karaoke/:songId/tracks/:audioFileId/timestamps)
+ *  - Exportar la letra en LRC/VTT/SRT (GET /karaoke/:songId/tracks/:audioFileId/lyrics.:format)
+ *  - Forma de onda y duración de un track (GET /karaoke/:songId/tracks/:audioFileId/waveform)
+ *  - Streaming del audio con soporte de Range (GET /karaoke/:songId/tracks/:audioFileId/stream)
+ *  - Continuar un track como nuevo take (POST /karaoke/:songId/tracks/:audioFileId/extend)
  */
 
+/**
+ * Convierte un parámetro de ruta a entero positivo; devuelve null si no es válido.
+ */
+function parsePositiveInt(value) {
+	const num = parseInt(value, 10);
+	return Number.isNaN(num) || num <= 0 ? null : num;
+}
+
+/**
+ * Respuesta para un callback de Suno que no pasó la verificación.
+ */
+function rejectedCallback(state) {
+	if(state === 'unauthorized') {
+		return { status: 401, message: 'Invalid or missing callback token' };
+	}
+	if(state === 'finalized') {
+		return { status: 409, message: 'Suno task is already finalized' };
+	}
+	return { status: 404, message: 'Unknown Suno task' };
+}
+
+/**
+ * Inicio de los mensajes de error de KaraokeService que son culpa de la petición,
+ * por código HTTP: el recurso no existe (404), el estado de la canción no lo
+ * permite (409) o los datos no son válidos (400).
+ */
+const CLIENT_ERRORS = {
+	404: [
+		'Song not found',
+		'Audio file not found for this song',
+		'No song_generation task found',
+		'No generation pipeline found',
+		'Instrumental songs have no lyrics',
+	],
+	409: [
+		'Song is still being generated',
+		'Song was ',
+		'Song has no lyrics to',
+		'Song cannot be remixed',
+		'Invalid song status',
+		'Song generation is not halted',
+	],
+	400: [
+		'Nothing to update',
+		'Lyrics must be',
+		'Title must be',
+		'Repository URL is required',
+		'Invalid time range',
+		'Invalid date:',
+		'Invalid acl:',
+		'The track has no Suno audio id',
+		'continueAt ',
+		'Unsupported lyrics format',
+	],
+};
+
+/**
+ * Código HTTP de un error de KaraokeService (500 para los no previstos).
+ */
+function errorStatus(message = '') {
+	for(const [ status, prefixes ] of Object.entries(CLIENT_ERRORS)) {
+		if(prefixes.some(prefix => message.startsWith(prefix))) return Number(status);
+	}
+	return 500;
+}
+
 class KaraokeController {
 	/**
 	 * GET /karaoke/styles
@@ -87,7 +172,12 @@ class KaraokeController {
 
 	/**
 	 * POST /karaoke
-	 * Crea una nueva canción (Song) usando KaraokeService.
+	 * Crea una nueva canción (Song) y encola su generación en segundo plano.
+	 * Responde de inmediato con el songId y el taskId del pipeline.
+	 *
+	 * Acepta la cabecera opcional "Idempotency-Key": los reintentos con la misma clave
+	 * y el mismo body devuelven la respuesta original sin crear otra canción; la misma
+	 * clave con un body distinto responde 409.
 	 * Body:
 	 * {
 	 *   "repoUrl": "https://github.com/owner/repo",
@@ -95,10 +185,16 @@ class KaraokeController {
 	 *   "startDate": "2023-01-01",
 	 *   "endDate": "2023-01-31",
 	 *   "musicStyle": "Rock",
-	 *   "instrumental": false
+	 *   "instrumental": false,
+	 *   "dryRun": false, // true => se detiene antes de Suno y devuelve la vista previa
+	 *   "requireApproval": false, // true => espera aprobación de la letra antes de Suno
+	 *   "acl": "private" // opcional: public-read | private (por defecto según el repositorio)
 	 * }
 	 */
 	static async createSongFromRepo(req, res) {
+		const idempotencyKey = req.get('Idempotency-Key');
+		let idempotencyRecord = null;
+
 		try {
 			const {
 				repoUrl,
@@ -107,6 +203,9 @@ class KaraokeController {
 				endDate,
 				musicStyle,
 				instrumental,
+				dryRun,
+				requireApproval,
+				acl,
 			} = req.body || {};
 
 			// Validación mínima
@@ -117,6 +216,32 @@ class KaraokeController {
 				});
 			}
 
+			if(idempotencyKey) {
+				const { state, record } = await IdempotencyService.begin(`POST ${ req.path }`, idempotencyKey, req.body);
+
+				if(state === 'mismatch') {
+					return res.respond({
+						status: 409,
+						message: 'Idempotency-Key was already used with a different request body',
+					});
+				}
+				if(state === 'in_progress') {
+					return res.respond({
+						status: 409,
+						message: 'A request with this Idempotency-Key is still being processed',
+					});
+				}
+				if(state === 'replay') {
+					res.set('Idempotent-Replayed', 'true');
+					return res.respond({
+						status: record.response_status,
+						...record.response,
+					});
+				}
+
+				idempotencyRecord = record;
+			}
+
 			// Callback URL
 			const callbackUrl = `${ process.env.CALLBACK_URL }`;
 
@@ -129,21 +254,743 @@ class KaraokeController {
 				musicStyle: musicStyle || 'Pop',
 				instrumental: Boolean(instrumental),
 				callbackUrl,
+				dryRun: Boolean(dryRun),
+				requireApproval: Boolean(requireApproval),
+				acl: acl || null,
 			});
 
-			return res.respond({
+			const responseStatus = dryRun ? 200 : 202;
+			const response = {
 				data: songResult,
-				message: 'Song generation started successfully',
+				message: dryRun ? 'Song preview generated successfully' : 'Song generation queued successfully',
+			};
+
+			if(idempotencyRecord) {
+				await IdempotencyService.complete(idempotencyRecord.id, responseStatus, response, songResult.songId);
+			}
+
+			return res.respond({
+				status: responseStatus,
+				...response,
 			});
 		} catch(error) {
 			console.error('❌ createSongFromRepo error:', error);
+
+			// Un fallo no debe bloquear la clave: el cliente puede reintentar
+			if(idempotencyRecord) await IdempotencyService.release(idempotencyRecord.id);
+
 			return res.respond({
-				status: 500,
+				status: errorStatus(error.message),
 				message: `Failed to create song: ${ error.message }`,
 			});
 		}
 	}
 
+	/**
+	 * POST /karaoke/preview
+	 * Igual que POST /karaoke con "dryRun: true": ejecuta GitHub + Chroma + IA,
+	 * guarda la canción como borrador y devuelve query, commits, letra y título.
+	 */
+	static async previewSongFromRepo(req, res) {
+		req.body = { ...req.body, dryRun: true };
+		return KaraokeController.createSongFromRepo(req, res);
+	}
+
+	/**
+	 * GET /karaoke/:songId/preview
+	 * Devuelve los artefactos intermedios (query, commits, letra, título) de una canción.
+	 */
+	static async getSongPreview(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const preview = await KaraokeService.getSongPreview(songId);
+
+			return res.respond({
+				data: preview,
+				message: 'Song preview retrieved successfully',
+			});
+		} catch(error) {
+			console.error('❌ getSongPreview error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to get song preview: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * POST /karaoke/:songId/promote
+	 * Convierte un borrador en canción real (Suno + portada) sin repetir las llamadas al LLM.
+	 */
+	static async promoteDraft(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const pipeline = await KaraokeService.promoteDraft(songId);
+
+			return res.respond({
+				status: 202,
+				data: pipeline,
+				message: 'Draft promoted; song generation queued',
+			});
+		} catch(error) {
+			console.error('❌ promoteDraft error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to promote draft: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * PUT /karaoke/:songId/draft
+	 * Edita la letra y/o el título de una canción en borrador o pendiente de aprobación.
+	 * Body: { "lyrics": "...", "title": "..." }
+	 */
+	static async updateDraft(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const { lyrics, title } = req.body || {};
+			const result = await KaraokeService.updateDraft(songId, { lyrics, title });
+
+			return res.respond({
+				data: result,
+				message: 'Draft updated successfully',
+			});
+		} catch(error) {
+			console.error('❌ updateDraft error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to update draft: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * POST /karaoke/:songId/approve
+	 * Aprueba la letra: lanza Suno y la generación de portada.
+	 */
+	static async approveSong(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const pipeline = await KaraokeService.approveSong(songId);
+
+			return res.respond({
+				status: 202,
+				data: pipeline,
+				message: 'Song approved; audio generation queued',
+			});
+		} catch(error) {
+			console.error('❌ approveSong error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to approve song: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * POST /karaoke/:songId/reject
+	 * Rechaza el borrador; no se envía nada a Suno.
+	 * Body: { "reason": "..." } (opcional)
+	 */
+	static async rejectSong(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const pipeline = await KaraokeService.rejectSong(songId, req.body?.reason || null);
+
+			return res.respond({
+				data: pipeline,
+				message: 'Song rejected',
+			});
+		} catch(error) {
+			console.error('❌ rejectSong error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to reject song: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * PUT /karaoke/:songId/lyrics
+	 * Guarda una nueva letra para una canción existente (conserva la anterior en el historial).
+	 * Body: { "lyrics": "..." }
+	 */
+	static async updateSongLyrics(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const { lyrics } = req.body || {};
+			if(!lyrics) {
+				return res.respond({
+					status: 400,
+					message: 'Missing required field: lyrics',
+				});
+			}
+
+			const song = await KaraokeService.updateSongLyrics(songId, lyrics);
+
+			return res.respond({
+				data: song,
+				message: 'Lyrics updated successfully',
+			});
+		} catch(error) {
+			console.error('❌ updateSongLyrics error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to update lyrics: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * POST /karaoke/:songId/render
+	 * Reenvía la letra actual a Suno con el mismo estilo y título; los nuevos
+	 * AudioFiles llegan por el callback como un nuevo take de la misma canción.
+	 */
+	static async renderSong(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const version = await KaraokeService.renderSong(songId, {
+				callbackUrl: `${ process.env.CALLBACK_URL }`,
+			});
+
+			return res.respond({
+				status: 202,
+				data: version,
+				message: 'Song render queued in Suno',
+			});
+		} catch(error) {
+			console.error('❌ renderSong error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to render song: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * POST /karaoke/:songId/tracks/:audioFileId/extend
+	 * Continúa un track desde un segundo dado, opcionalmente con más letra; el
+	 * resultado llega por el callback como un nuevo take ligado al track original.
+	 * Body: { "continueAt": 95.5, "lyrics": "[Verse]\n..." } (ambos opcionales)
+	 */
+	static async extendTrack(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			const audioFileId = parsePositiveInt(req.params.audioFileId);
+			if(!songId || !audioFileId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameters: songId and audioFileId must be positive integers',
+				});
+			}
+
+			const { continueAt, lyrics } = req.body || {};
+			const seconds = continueAt === undefined || continueAt === null ? null : Number(continueAt);
+			if(seconds !== null && !(seconds > 0)) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid field: continueAt must be a positive number of seconds',
+				});
+			}
+			if(lyrics !== undefined && lyrics !== null && typeof lyrics !== 'string') {
+				return res.respond({
+					status: 400,
+					message: 'Invalid field: lyrics must be a string',
+				});
+			}
+
+			const version = await KaraokeService.extendTrack(songId, audioFileId, {
+				continueAt: seconds,
+				lyrics,
+				callbackUrl: `${ process.env.CALLBACK_URL }`,
+			});
+
+			return res.respond({
+				status: 202,
+				data: version,
+				message: `Track extension queued in ${ version.provider }`,
+			});
+		} catch(error) {
+			console.error('❌ extendTrack error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to extend track: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * POST /karaoke/:songId/remix
+	 * Crea un remix de la canción en otro estilo, reutilizando letra, título y commits.
+	 * Body: { "musicStyle": "Synthwave", "instrumental": false }
+	 */
+	static async remixSong(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const { musicStyle, instrumental } = req.body || {};
+			if(!musicStyle) {
+				return res.respond({
+					status: 400,
+					message: 'Missing required field: musicStyle',
+				});
+			}
+
+			const remix = await KaraokeService.remixSong(songId, {
+				musicStyle,
+				instrumental,
+				callbackUrl: `${ process.env.CALLBACK_URL }`,
+			});
+
+			return res.respond({
+				status: 202,
+				data: remix,
+				message: 'Remix generation queued successfully',
+			});
+		} catch(error) {
+			console.error('❌ remixSong error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to remix song: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * GET /karaoke/:songId/versions
+	 * Lista las versiones (renders) de la canción con sus tracks y el take principal.
+	 */
+	static async getSongVersions(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const versions = await KaraokeService.getSongVersions(songId);
+
+			return res.respond({
+				data: versions,
+				message: `Found ${ versions.versions.length } versions`,
+			});
+		} catch(error) {
+			console.error('❌ getSongVersions error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to get song versions: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * PUT /karaoke/:songId/primary
+	 * Selecciona el take principal de la canción.
+	 * Body: { "audioFileId": 123 }
+	 */
+	static async setPrimaryTake(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			const audioFileId = parsePositiveInt(req.body?.audioFileId);
+			if(!songId || !audioFileId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameters: songId and audioFileId must be positive integers',
+				});
+			}
+
+			const audioFile = await KaraokeService.setPrimaryTake(songId, audioFileId);
+
+			return res.respond({
+				data: audioFile,
+				message: 'Primary take updated successfully',
+			});
+		} catch(error) {
+			console.error('❌ setPrimaryTake error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to set primary take: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * GET /karaoke/:songId/tracks/:audioFileId/timestamps
+	 * Letra sincronizada (palabras y líneas con inicio/fin en segundos) de un track.
+	 * Si aún no se tiene se pide a Suno; ?refresh=true fuerza volver a pedirla.
+	 */
+	static async getTrackTimestamps(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			const audioFileId = parsePositiveInt(req.params.audioFileId);
+			if(!songId || !audioFileId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameters: songId and audioFileId must be positive integers',
+				});
+			}
+
+			const refresh = req.query.refresh === 'true';
+			const result = await KaraokeService.getTrackTimestamps(songId, audioFileId, { refresh });
+
+			return res.respond({
+				data: result,
+				message: 'Lyric timestamps retrieved successfully',
+			});
+		} catch(error) {
+			console.error('❌ getTrackTimestamps error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to get lyric timestamps: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * GET /karaoke/:songId/tracks/:audioFileId/lyrics.:format
+	 * Descarga la letra sincronizada del track en LRC (con tiempos por palabra), VTT o SRT.
+	 */
+	static async exportTrackLyrics(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			const audioFileId = parsePositiveInt(req.params.audioFileId);
+			if(!songId || !audioFileId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameters: songId and audioFileId must be positive integers',
+				});
+			}
+
+			const format = String(req.params.format || '').toLowerCase();
+			const { content, mimeType, filename, synced } = await KaraokeService.exportTrackLyrics(songId, audioFileId, format);
+
+			res.set({
+				'Content-Type': mimeType,
+				'Content-Disposition': `inline; filename="${ filename }"`,
+				'X-Lyrics-Synced': String(synced),
+			});
+			return res.send(content);
+		} catch(error) {
+			console.error('❌ exportTrackLyrics error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to export lyrics: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * GET /karaoke/:songId/tracks/:audioFileId/stream
+	 * Sirve el MP3 del track a través de la API (Range/206, ETag, caché) y cuenta reproducciones.
+	 */
+	static async streamTrack(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			const audioFileId = parsePositiveInt(req.params.audioFileId);
+			if(!songId || !audioFileId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameters: songId and audioFileId must be positive integers',
+				});
+			}
+
+			const { status, headers, stream } = await KaraokeService.openTrackStream(songId, audioFileId, {
+				range: req.get('Range'),
+				ifNoneMatch: req.get('If-None-Match'),
+				countPlay: req.method === 'GET',
+				// HEAD no lleva cuerpo: no se abre el stream (quedaría abierto sin consumir)
+				withBody: req.method !== 'HEAD',
+				expires: req.query.expires,
+				signature: req.query.signature,
+			});
+
+			if(status === 403) {
+				return res.respond({
+					status: 403,
+					message: 'This track is private: use the signed stream_url returned by the song endpoints',
+				});
+			}
+
+			res.status(status).set(headers);
+			if(!stream) return res.end();
+
+			stream.on('error', error => {
+				console.error('❌ streamTrack stream error:', error.message);
+				res.destroy(error);
+			});
+			req.on('close', () => stream.destroy());
+			return stream.pipe(res);
+		} catch(error) {
+			console.error('❌ streamTrack error:', error);
+			if(res.headersSent) return res.end();
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to stream track: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * GET /karaoke/:songId/tracks/:audioFileId/waveform?points=N
+	 * Picos de la forma de onda (0..1) para dibujar el reproductor, con duración y tamaño.
+	 */
+	static async getTrackWaveform(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			const audioFileId = parsePositiveInt(req.params.audioFileId);
+			if(!songId || !audioFileId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameters: songId and audioFileId must be positive integers',
+				});
+			}
+
+			const points = req.query.points ? parsePositiveInt(req.query.points) : 1024;
+			if(!points || points > 4096) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: points must be an integer between 1 and 4096',
+				});
+			}
+
+			const waveform = await KaraokeService.getTrackWaveform(songId, audioFileId, points);
+
+			return res.respond({
+				data: waveform,
+				message: 'Waveform retrieved successfully',
+			});
+		} catch(error) {
+			console.error('❌ getTrackWaveform error:', error);
+			return res.respond({
+				status: 500,
+				message: `Failed to get waveform: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * DELETE /karaoke/:songId/generation
+	 * Cancela la generación en curso: no se ejecutan más etapas y los callbacks
+	 * tardíos de Suno se registran pero no adjuntan audio.
+	 */
+	static async cancelSongGeneration(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const result = await KaraokeService.cancelSongGeneration(songId);
+
+			return res.respond({
+				data: result,
+				message: 'Song generation cancelled',
+			});
+		} catch(error) {
+			console.error('❌ cancelSongGeneration error:', error);
+			return res.respond({
+				status: errorStatus(error.message),
+				message: `Failed to cancel song generation: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * GET /karaoke/:songId/events
+	 * Stream Server-Sent Events con el progreso de la canción: etapas del pipeline,
+	 * embeddings N/M, letra y título listos, envío a Suno, primer track y fin/fallo.
+	 * Envía primero un evento "snapshot" con el estado actual y los eventos recientes.
+	 */
+	static async streamSongEvents(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const song = await primate.prisma.song.findUnique({
+				where: { id: songId },
+				select: { id: true, status: true, title: true },
+			});
+			if(!song) {
+				return res.respond({
+					status: 404,
+					message: 'Song not found',
+				});
+			}
+
+			res.set({
+				'Content-Type': 'text/event-stream',
+				'Cache-Control': 'no-cache',
+				'Connection': 'keep-alive',
+				'X-Accel-Buffering': 'no',
+			});
+			res.flushHeaders();
+
+			const send = event => {
+				res.write(`id: ${ event.id }\nevent: ${ event.type }\ndata: ${ JSON.stringify(event) }\n\n`);
+			};
+
+			const pipeline = await KaraokeService.getSongPipeline(songId);
+			res.write(`event: snapshot\ndata: ${ JSON.stringify({ song, pipeline }) }\n\n`);
+
+			const lastEventId = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+			EventService.getHistory(songId, lastEventId).forEach(send);
+
+			// Si la canción ya terminó no hay nada más que esperar
+			if(EventService.TERMINAL_TYPES.includes(song.status === 'completed' ? 'complete' : song.status)) {
+				return res.end();
+			}
+
+			const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+			const unsubscribe = EventService.subscribe(songId, event => {
+				send(event);
+				if(EventService.TERMINAL_TYPES.includes(event.type)) res.end();
+			});
+
+			res.on('close', () => {
+				clearInterval(heartbeat);
+				unsubscribe();
+			});
+		} catch(error) {
+			console.error('❌ streamSongEvents error:', error);
+			if(res.headersSent) return res.end();
+			return res.respond({
+				status: 500,
+				message: `Failed to stream song events: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * GET /karaoke/:songId/pipeline
+	 * Devuelve el estado de las etapas del pipeline de generación de una canción.
+	 */
+	static async getSongPipeline(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const pipeline = await KaraokeService.getSongPipeline(songId);
+			if(!pipeline) {
+				return res.respond({
+					status: 404,
+					message: 'No generation pipeline found for this song',
+				});
+			}
+
+			return res.respond({
+				data: pipeline,
+				message: 'Song pipeline retrieved successfully',
+			});
+		} catch(error) {
+			console.error('❌ getSongPipeline error:', error);
+			return res.respond({
+				status: 500,
+				message: `Failed to get song pipeline: ${ error.message }`,
+			});
+		}
+	}
+
+	/**
+	 * POST /karaoke/:songId/resume
+	 * Reanuda una generación fallida o interrumpida desde la última etapa completada.
+	 */
+	static async resumeSongGeneration(req, res) {
+		try {
+			const songId = parsePositiveInt(req.params.songId);
+			if(!songId) {
+				return res.respond({
+					status: 400,
+					message: 'Invalid parameter: songId must be a positive integer',
+				});
+			}
+
+			const pipeline = await KaraokeService.resumeSongGeneration(songId);
+
+			return res.respond({
+				status: 202,
+				data: pipeline,
+				message: 'Song generation resumed',
+			});
+		} catch(error) {
+			console.error('❌ resumeSongGeneration error:', error);
+			return res.respond({
+				status: 500,
+				message: `Failed to resume song generation: ${ error.message }`,
+			});
+		}
+	}
+
 	/**
 	 * GET /karaoke
 	 * Devuelve TODAS las canciones con búsqueda, filtros y paginación.
@@ -211,9 +1058,9 @@ class KaraokeController {
 				},
 			});
 
-			// 6. Respuesta
+			// 6. Respuesta (URLs firmadas para las canciones privadas)
 			return res.respond({
-				data: songs,
+				data: await AclService.presentSongs(songs),
 				message: `Found ${ songs.length } songs`,
 				meta: {
 					total: totalCount,
@@ -271,7 +1118,7 @@ class KaraokeController {
 			}
 
 			return res.respond({
-				data: song,
+				data: await AclService.presentSong(song),
 				message: 'Song retrieved successfully',
 			});
 		} catch(error) {
@@ -290,7 +1137,32 @@ class KaraokeController {
 	static async handleSunoCallback(req, res) {
 		try {
 			const callbackData = req.body;
-			const result = await KaraokeService.handleSunoCallback(callbackData);
+
+			// Primero el token: sólo un callback auténtico ocupa el hueco de deduplicación,
+			// así uno falso no puede hacer pasar por duplicado al legítimo
+			const verification = await CallbackService.verifyAudioCallback(callbackData, req.query.token);
+			if(verification.state === 'unauthorized' || verification.state === 'unknown') {
+				console.warn(`⚠️ Rejected Suno callback (${ verification.state }) for task ${ callbackData?.data?.task_id }`);
+				await CallbackService.recordRejected('audio', req, { error: verification.state, songId: verification.song?.id });
+				return res.respond(rejectedCallback(verification.state));
+			}
+
+			const { record, duplicate } = await CallbackService.record('audio', req);
+			if(duplicate) {
+				return res.respond({
+					data: { status: 'duplicate', callbackId: record.id },
+					message: 'Callback already received',
+				});
+			}
+
+			// Auténtico pero tardío (la tarea ya terminó)
+			if(verification.state !== 'ok') {
+				console.warn(`⚠️ Rejected Suno callback (${ verification.state }) for task ${ callbackData?.data?.task_id }`);
+				await CallbackService.finish(record.id, 'rejected', { error: verification.state, songId: verification.song?.id });
+				return res.respond(rejectedCallback(verification.state));
+			}
+
+			const result = await KaraokeService.processStoredCallback(record, verification.song.id);
 
 			return res.respond({
 				data: result,
@@ -418,7 +1290,7 @@ class KaraokeController {
 			// 3. Armar respuesta
 			return res.respond({
 				data: {
-					...song,
+					...await AclService.presentSong(song),
 					commitsInRange: commits,
 				},
 				message: 'Song detailed info retrieved successfully',
@@ -441,10 +1313,32 @@ class KaraokeController {
 		try {
 			const callbackData = req.body;
 
+			const verification = await CallbackService.verifyLyricsCallback(req.query.token);
+			if(verification.state === 'unauthorized' || verification.state === 'unknown') {
+				console.warn(`⚠️ Rejected Suno lyrics callback (${ verification.state }) for task ${ callbackData?.data?.task_id }`);
+				await CallbackService.recordRejected('lyrics', req, { error: verification.state, songId: verification.song?.id });
+				return res.respond(rejectedCallback(verification.state));
+			}
+
+			const { record, duplicate } = await CallbackService.record('lyrics', req);
+			if(duplicate) {
+				return res.respond({
+					data: { status: 'duplicate', callbackId: record.id },
+					message: 'Lyrics callback already received',
+				});
+			}
+
+			// Auténtico pero tardío (la tarea ya terminó)
+			if(verification.state !== 'ok') {
+				console.warn(`⚠️ Rejected Suno lyrics callback (${ verification.state }) for task ${ callbackData?.data?.task_id }`);
+				await CallbackService.finish(record.id, 'rejected', { error: verification.state, songId: verification.song?.id });
+				return res.respond(rejectedCallback(verification.state));
+			}
+
 			// Aquí puedes llamar a un método distinto en tu KaraokeService,
 			// por ejemplo: KaraokeService.handleSunoLyricsCallback(callbackData).
 			// O reutilizar la misma si deseas, pero con un flag que indique “esto es lyrics”.
-			const result = await KaraokeService.handleSunoCallbackLyrics(callbackData);
+			const result = await KaraokeService.processStoredCallback(record, verification.song.id);
 
 			return res.respond({
 				data: result,
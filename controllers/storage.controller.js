@@ -0,0 +1,72 @@
+// storage.controller.js
+import StorageService from '#services/storage.service.js';
+import HttpRange from '#utils/http-range.js';
+
+/**
+ * Controlador "StorageController": sirve los archivos del driver de disco local.
+ * Ofrece:
+ *  - Descarga de un archivo (GET /files/*), con Range; los privados requieren URL firmada
+ */
+class StorageController {
+	/**
+	 * GET /files/*
+	 */
+	static async serveLocalFile(req, res) {
+		try {
+			const key = req.params[0];
+			const driver = StorageService.driver('local');
+
+			const meta = await driver.getMeta(key);
+			if(meta.acl !== 'public-read' && !driver.verifySignature(key, req.query.expires, req.query.signature)) {
+				return res.respond({
+					status: 403,
+					message: 'Invalid or expired signature',
+				});
+			}
+
+			let info;
+			try {
+				info = await driver.head(key);
+			} catch {
+				return res.respond({
+					status: 404,
+					message: 'File not found',
+				});
+			}
+
+			const headers = {
+				'Accept-Ranges': 'bytes',
+				'Content-Type': info.contentType || 'application/octet-stream',
+				'Last-Modified': info.lastModified.toUTCString(),
+				'ETag': info.etag,
+			};
+
+			const range = HttpRange.parse(req.get('Range'), info.size);
+			if(range?.unsatisfiable) {
+				res.status(416).set({ ...headers, 'Content-Range': `bytes */${ info.size }` });
+				return res.end();
+			}
+
+			if(range) {
+				res.status(206).set({
+					...headers,
+					'Content-Range': `bytes ${ range.start }-${ range.end }/${ info.size }`,
+					'Content-Length': String(range.end - range.start + 1),
+				});
+			} else {
+				res.status(200).set({ ...headers, 'Content-Length': String(info.size) });
+			}
+
+			if(req.method === 'HEAD') return res.end();
+			return driver.getStream(key, range).pipe(res);
+		} catch(error) {
+			console.error('❌ serveLocalFile error:', error);
+			return res.respond({
+				status: 500,
+				message: `Failed to serve file: ${ error.message }`,
+			});
+		}
+	}
+}
+
+export default StorageController;
@@ -0,0 +1,17 @@
+import { Primate } from '@thewebchimp/primate';
+import AdminController from '../controllers/admin.controller.js';
+
+const router = Primate.getRouter();
+
+// Todas las rutas de administración requieren X-Admin-Key
+router.use('/admin', AdminController.requireAdminKey);
+
+// 1) Callbacks de Suno guardados y reprocesado
+router.get('/admin/callbacks', AdminController.listCallbacks);
+router.post('/admin/callbacks/:callbackId/replay', AdminController.replayCallback);
+
+// 2) Recolección de archivos huérfanos (GET = sólo informe, POST = borra)
+router.get('/admin/gc', AdminController.previewGarbage);
+router.post('/admin/gc', AdminController.collectGarbage);
+
+export { router };
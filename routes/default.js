@@ -12,6 +12,9 @@ router.get('/karaoke/config', KaraokeController.getGlobalConfig);
 // 3) Crea una nueva canción
 router.post('/karaoke', KaraokeController.createSongFromRepo);
 
+// 3b) Vista previa (dry-run) sin Suno ni DALL-E
+router.post('/karaoke/preview', KaraokeController.previewSongFromRepo);
+
 // 4) Lista TODAS las canciones
 router.get('/karaoke', KaraokeController.getAllSongs);
 
@@ -34,4 +37,43 @@ router.get('/karaoke/:songId', KaraokeController.getSongById);
 // 9) Detalle extendido
 router.get('/karaoke/:songId/detailed', KaraokeController.getSongDetailed);
 
+// 10) Pipeline de generación (etapas y reanudación)
+router.get('/karaoke/:songId/pipeline', KaraokeController.getSongPipeline);
+router.post('/karaoke/:songId/resume', KaraokeController.resumeSongGeneration);
+
+// 11) Borradores (dry-run)
+router.get('/karaoke/:songId/preview', KaraokeController.getSongPreview);
+router.post('/karaoke/:songId/promote', KaraokeController.promoteDraft);
+
+// 12) Aprobación de letras antes de Suno
+router.put('/karaoke/:songId/draft', KaraokeController.updateDraft);
+router.post('/karaoke/:songId/approve', KaraokeController.approveSong);
+router.post('/karaoke/:songId/reject', KaraokeController.rejectSong);
+
+// 13) Editar letra y re-renderizar
+router.put('/karaoke/:songId/lyrics', KaraokeController.updateSongLyrics);
+router.post('/karaoke/:songId/render', KaraokeController.renderSong);
+
+// 14) Versiones (takes)
+router.get('/karaoke/:songId/versions', KaraokeController.getSongVersions);
+router.put('/karaoke/:songId/primary', KaraokeController.setPrimaryTake);
+
+// 15) Remix a otro estilo
+router.post('/karaoke/:songId/remix', KaraokeController.remixSong);
+
+// 16) Cancelar una generación en curso
+router.delete('/karaoke/:songId/generation', KaraokeController.cancelSongGeneration);
+
+// 17) Progreso en tiempo real (Server-Sent Events)
+router.get('/karaoke/:songId/events', KaraokeController.streamSongEvents);
+
+// 18) Letra sincronizada por track (karaoke)
+router.get('/karaoke/:songId/tracks/:audioFileId/timestamps', KaraokeController.getTrackTimestamps);
+router.get('/karaoke/:songId/tracks/:audioFileId/lyrics.:format', KaraokeController.exportTrackLyrics);
+router.get('/karaoke/:songId/tracks/:audioFileId/waveform', KaraokeController.getTrackWaveform);
+router.get('/karaoke/:songId/tracks/:audioFileId/stream', KaraokeController.streamTrack);
+
+// 19) Continuar un track (nuevo take a partir de un segundo dado)
+router.post('/karaoke/:songId/tracks/:audioFileId/extend', KaraokeController.extendTrack);
+
 export { router };
@@ -0,0 +1,9 @@
+import { Primate } from '@thewebchimp/primate';
+import StorageController from '../controllers/storage.controller.js';
+
+const router = Primate.getRouter();
+
+// 1) Archivos del driver de disco local (STORAGE_DRIVER=local)
+router.get('/files/*', StorageController.serveLocalFile);
+
+export { router };
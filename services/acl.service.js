@@ -0,0 +1,119 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import UploadService from '#services/upload.service.js';
+import UrlSigner from '#utils/url-signer.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Política de acceso (ACL) de las canciones y URLs firmadas.
+ *
+ * Una canción es "private" o "public-read" y se guarda en Song.acl al crearla
+ * (la indicada o, si no, según la visibilidad del repositorio). Los archivos de
+ * las canciones privadas se suben privados y las respuestas de la API los
+ * exponen con URLs firmadas de corta duración en lugar de la ubicación del bucket.
+ */
+class AclService {
+	static ACLS = [ 'public-read', 'private' ];
+	static SIGNED_URL_TTL = parseInt(process.env.SIGNED_URL_TTL_SECONDS || '900', 10);
+
+	/**
+	 * ACL of a song (accepts the song record or its id). Songs store it since
+	 * creation; only older rows without it fall back to Repository.is_private.
+	 */
+	static async resolveSongAcl(songOrId) {
+		const song = typeof songOrId === 'object'
+			? songOrId
+			: await prisma.song.findUnique({ where: { id: songOrId } });
+		if(!song) throw new Error('Song not found');
+		if(song.acl) return song.acl;
+
+		const repository = song.repository
+			|| await prisma.repository.findUnique({ where: { id: song.repository_id } });
+		return repository?.is_private ? 'private' : 'public-read';
+	}
+
+	/**
+	 * Song as returned by the API: effective ACL, stream URLs and, for private
+	 * songs, signed URLs for its audio files and cover.
+	 */
+	static async presentSong(song) {
+		const acl = await this.resolveSongAcl(song);
+		const presented = { ...song, acl };
+
+		if(Array.isArray(song.audio_files)) {
+			presented.audio_files = await Promise.all(song.audio_files.map(audioFile => this.presentAudioFile(audioFile, acl)));
+		}
+
+		if(acl === 'private') {
+			const cover = song.cover_attachment_id
+				? await prisma.attachment.findUnique({ where: { id: song.cover_attachment_id } })
+				: null;
+			presented.cover_image_url = cover ? await this.#signedAttachmentUrl(cover) : null;
+			presented.urls_expire_at = new Date(Date.now() + this.SIGNED_URL_TTL * 1000).toISOString();
+		}
+
+		return presented;
+	}
+
+	static async presentSongs(songs) {
+		return Promise.all(songs.map(song => this.presentSong(song)));
+	}
+
+	/**
+	 * Audio file with its stream URL; private ones get signed URLs and no bucket location.
+	 */
+	static async presentAudioFile(audioFile, acl) {
+		const streamPath = `/karaoke/${ audioFile.song_id }/tracks/${ audioFile.id }/stream`;
+		if(acl !== 'private') return { ...audioFile, stream_url: streamPath };
+
+		const attachment = audioFile.attachment
+			|| (audioFile.attachment_id ? await prisma.attachment.findUnique({ where: { id: audioFile.attachment_id } }) : null);
+		const url = attachment ? await this.#signedAttachmentUrl(attachment) : null;
+
+		const presented = {
+			...audioFile,
+			url,
+			// Sin STORAGE_SIGNING_SECRET el stream privado no se puede firmar (ni servir)
+			stream_url: UrlSigner.isConfigured() ? UrlSigner.sign(streamPath, this.SIGNED_URL_TTL) : null,
+		};
+		if(audioFile.attachment) {
+			// metas guarda la ubicación real del objeto en el bucket
+			const { metas, ...attachmentData } = audioFile.attachment;
+			presented.attachment = { ...attachmentData, url };
+		}
+		return presented;
+	}
+
+	/**
+	 * Warns at startup when private songs cannot get signed URLs.
+	 */
+	static checkSigningConfig() {
+		if(UrlSigner.isConfigured()) return true;
+
+		console.warn('⚠️ [AclService] STORAGE_SIGNING_SECRET is not set: private songs are listed without stream URLs (and without file URLs on local storage)');
+		return false;
+	}
+
+	/**
+	 * Signed URL of an attachment, or null if the storage driver cannot sign it
+	 * (e.g. local storage without STORAGE_SIGNING_SECRET): the song is still listed.
+	 */
+	static async #signedAttachmentUrl(attachment) {
+		try {
+			return await UploadService.getSignedUrl(attachment, this.SIGNED_URL_TTL);
+		} catch(error) {
+			console.warn(`⚠️ [AclService] Could not sign the URL of attachment ${ attachment.id }:`, error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Checks the signature of a private stream URL.
+	 */
+	static verifyStreamUrl(songId, audioFileId, { expires, signature } = {}) {
+		return UrlSigner.verify(`/karaoke/${ songId }/tracks/${ audioFileId }/stream`, expires, signature);
+	}
+}
+
+export default AclService;
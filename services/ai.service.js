@@ -17,6 +17,7 @@ class AIService {
 			model = 'dall-e-2',
 			n = 1,
 			responseFormat = 'url',
+			acl = 'public-read',
 		} = options;
 
 		if(!prompt) {
@@ -69,7 +70,8 @@ class AIService {
 			console.log('☁️ Subiendo imagen a DigitalOcean Spaces...');
 
 			const attachment = await UploadService.createAttachmentFromUrl(imageUrl, {
-				acl: 'public-read',
+				origin: 'openai',
+				acl,
 				metas: {
 					openaiEndpoint: endpoint,
 					openaiModel: model,
@@ -0,0 +1,282 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import VersionService from '#services/version.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Autenticación y registro de los callbacks de Suno.
+ *
+ * Cada canción tiene un token aleatorio que viaja en la callBackUrl que le
+ * mandamos a Suno (?token=...). Un callback sólo se acepta si el token coincide
+ * con el de la canción dueña de la tarea y si esa tarea sigue esperando audio.
+ *
+ * Todo callback recibido se guarda en SunoCallback (cabeceras, body y resultado)
+ * para poder depurarlo y reprocesarlo; las entregas repetidas de la misma
+ * tarea/callbackType ya procesadas no se vuelven a procesar. Una entrega que
+ * lleva más de PROCESSING_TIMEOUT_MS "processing" (el proceso cayó a mitad) se
+ * da por fallida y la siguiente la reprocesa.
+ */
+class CallbackService {
+	// Un callback para una versión en estos estados ya no puede cambiar nada
+	static FINAL_VERSION_STATUSES = [ 'completed', 'failed', 'cancelled' ];
+
+	static PROCESSING_TIMEOUT_MS = parseInt(process.env.CALLBACK_PROCESSING_TIMEOUT_MINUTES || '10', 10) * 60 * 1000;
+
+	// Cabeceras que no se guardan con el callback
+	static REDACTED_HEADERS = [ 'authorization', 'cookie', 'x-admin-key' ];
+
+	static generateToken() {
+		return crypto.randomBytes(24).toString('hex');
+	}
+
+	/**
+	 * Returns the callback token of a song, creating it for songs that predate tokens.
+	 */
+	static async ensureToken(songId) {
+		const song = await prisma.song.findUnique({
+			where: { id: songId },
+			select: { callback_token: true },
+		});
+		if(!song) throw new Error('Song not found');
+		if(song.callback_token) return song.callback_token;
+
+		const token = this.generateToken();
+		await prisma.song.update({
+			where: { id: songId },
+			data: { callback_token: token },
+		});
+		return token;
+	}
+
+	/**
+	 * Builds the callBackUrl sent to Suno for a song.
+	 * @param {string} baseUrl - Public base URL of this API (CALLBACK_URL)
+	 * @param {number} songId
+	 * @param {string} [path=''] - '' for audio callbacks, '/lyrics' for lyrics callbacks
+	 */
+	static async buildUrl(baseUrl, songId, path = '') {
+		const token = await this.ensureToken(songId);
+		return `${ baseUrl }/karaoke/callback${ path }?token=${ token }`;
+	}
+
+	/**
+	 * Checks an incoming audio callback against its task and the song token.
+	 *
+	 * @returns {Promise<Object>} Una de:
+	 *  - { state: 'ok', song, version }
+	 *  - { state: 'unauthorized' } → falta el token o no coincide (401)
+	 *  - { state: 'unknown' }      → la tarea no es nuestra (404)
+	 *  - { state: 'finalized', song, version } → la versión ya terminó (409)
+	 */
+	static async verifyAudioCallback(callbackData, token) {
+		const sunoTaskId = callbackData?.data?.task_id;
+		if(!sunoTaskId) return { state: 'unknown' };
+
+		const { song, version } = await VersionService.findBySunoTaskId(sunoTaskId);
+		if(!song) return { state: 'unknown' };
+		if(!this.#tokenMatches(song.callback_token, token)) return { state: 'unauthorized' };
+
+		// Los callbacks tardíos de canciones canceladas se registran (no adjuntan audio)
+		if(song.status !== 'cancelled' && this.FINAL_VERSION_STATUSES.includes(version.status)) {
+			return { state: 'finalized', song, version };
+		}
+
+		return { state: 'ok', song, version };
+	}
+
+	/**
+	 * Lyrics tasks are not stored, so a lyrics callback is only checked against the song token.
+	 */
+	static async verifyLyricsCallback(token) {
+		if(!token) return { state: 'unauthorized' };
+
+		const song = await prisma.song.findUnique({ where: { callback_token: String(token) } });
+		if(!song) return { state: 'unauthorized' };
+		if([ 'completed', 'failed', 'cancelled', 'rejected' ].includes(song.status)) {
+			return { state: 'finalized', song };
+		}
+
+		return { state: 'ok', song };
+	}
+
+	/**
+	 * Stores an incoming (already verified) callback before processing it.
+	 *
+	 * @param {string} kind - 'audio' or 'lyrics'
+	 * @param {Object} req - Express request
+	 * @returns {Promise<Object>} { record, duplicate } — duplicate is true when the same
+	 *  task/callbackType was already processed (or is being processed right now and
+	 *  has not timed out).
+	 */
+	static async record(kind, req) {
+		return this.claim(kind, this.#delivery(req));
+	}
+
+	/**
+	 * Stores a callback that failed verification, for debugging. It never takes
+	 * the dedupe slot of its task/callbackType: a rejected row is replaced by the
+	 * next delivery, and one that is processing or processed is left untouched.
+	 * @param {string} kind - 'audio' or 'lyrics'
+	 * @param {Object} req - Express request
+	 * @param {Object} outcome - { error, songId }
+	 */
+	static async recordRejected(kind, req, { error, songId = null }) {
+		const delivery = this.#delivery(req);
+		const sunoTaskId = delivery.body?.data?.task_id || null;
+		const callbackType = String(delivery.body?.data?.callbackType || '');
+		const where = { kind_suno_task_id_callback_type: { kind, suno_task_id: sunoTaskId, callback_type: callbackType } };
+		const rejected = {
+			...delivery,
+			status: 'rejected',
+			error,
+			...(songId ? { song_id: songId } : {}),
+			processed_at: new Date(),
+		};
+
+		const existing = sunoTaskId ? await prisma.sunoCallback.findUnique({ where }) : null;
+		if(existing) {
+			if([ 'processing', 'processed' ].includes(existing.status)) return existing;
+			return prisma.sunoCallback.update({
+				where: { id: existing.id },
+				data: { ...rejected, deliveries: { increment: 1 } },
+			});
+		}
+
+		try {
+			return await prisma.sunoCallback.create({
+				data: { kind, suno_task_id: sunoTaskId, callback_type: callbackType, ...rejected },
+			});
+		} catch(createError) {
+			// Una entrega legítima se registró a la vez: ésa se queda con el registro
+			if(createError.code !== 'P2002') throw createError;
+			return prisma.sunoCallback.findUnique({ where });
+		}
+	}
+
+	/**
+	 * Path, headers (without the sensitive ones) and body of a callback request.
+	 */
+	static #delivery(req) {
+		const headers = Object.fromEntries(Object.entries(req.headers || {})
+			.filter(([ name ]) => !this.REDACTED_HEADERS.includes(name.toLowerCase())));
+
+		return { path: req.path, headers, body: req.body || {} };
+	}
+
+	/**
+	 * Like record() for a callback that did not come over HTTP (e.g. one rebuilt
+	 * by ReconcilerService from Suno's task details): stores it and takes the
+	 * dedupe slot of its task/callbackType, so it is never processed twice.
+	 * @param {string} kind - 'audio' or 'lyrics'
+	 * @param {Object} delivery - { path, headers, body }
+	 */
+	static async claim(kind, delivery) {
+		const { body } = delivery;
+		const sunoTaskId = body?.data?.task_id || null;
+		const callbackType = String(body?.data?.callbackType || '');
+
+		if(sunoTaskId) {
+			const existing = await prisma.sunoCallback.findUnique({
+				where: {
+					kind_suno_task_id_callback_type: { kind, suno_task_id: sunoTaskId, callback_type: callbackType },
+				},
+			});
+
+			if(existing) {
+				// Una entrega anterior rechazada, fallida o colgada en "processing" se sustituye
+				// por la nueva. Es un update condicional para que sólo una entrega la retome.
+				const claimed = await prisma.sunoCallback.updateMany({
+					where: {
+						id: existing.id,
+						OR: [
+							{ status: { notIn: [ 'processing', 'processed' ] } },
+							{ status: 'processing', started_at: { lt: new Date(Date.now() - this.PROCESSING_TIMEOUT_MS) } },
+						],
+					},
+					data: { ...delivery, status: 'processing', error: null, started_at: new Date(), deliveries: { increment: 1 } },
+				});
+				const duplicate = claimed.count === 0;
+
+				const record = duplicate
+					? await prisma.sunoCallback.update({
+						where: { id: existing.id },
+						data: { deliveries: { increment: 1 } },
+					})
+					: await prisma.sunoCallback.findUnique({ where: { id: existing.id } });
+				if(!duplicate && existing.status === 'processing') {
+					console.warn(`⚠️ [CallbackService] Callback ${ existing.id } was stuck processing since ${ existing.started_at.toISOString() }, processing it again`);
+				}
+				return { record, duplicate };
+			}
+		}
+
+		try {
+			const record = await prisma.sunoCallback.create({
+				data: {
+					kind,
+					suno_task_id: sunoTaskId,
+					callback_type: callbackType,
+					...delivery,
+					status: 'processing',
+				},
+			});
+			return { record, duplicate: false };
+		} catch(error) {
+			// Otra entrega del mismo callback llegó a la vez: se decide sobre su registro
+			// (si fue un callback rechazado, éste lo retoma)
+			if(error.code !== 'P2002') throw error;
+			return this.claim(kind, delivery);
+		}
+	}
+
+	/**
+	 * Saves the outcome of a stored callback.
+	 * @param {number} id
+	 * @param {string} status - processed, rejected or failed
+	 * @param {Object} [outcome] - { result, error, songId }
+	 */
+	static async finish(id, status, { result = null, error = null, songId = null } = {}) {
+		return prisma.sunoCallback.update({
+			where: { id },
+			data: {
+				status,
+				error,
+				// Prisma no admite null directo en columnas Json
+				...(result ? { result } : {}),
+				...(songId ? { song_id: songId } : {}),
+				processed_at: new Date(),
+			},
+		});
+	}
+
+	/**
+	 * Lists stored callbacks (newest first), optionally filtered.
+	 */
+	static async list({ status, songId, sunoTaskId, limit = 50 } = {}) {
+		return prisma.sunoCallback.findMany({
+			where: {
+				...(status ? { status } : {}),
+				...(songId ? { song_id: songId } : {}),
+				...(sunoTaskId ? { suno_task_id: sunoTaskId } : {}),
+			},
+			orderBy: { received_at: 'desc' },
+			take: Math.min(limit, 200),
+		});
+	}
+
+	static async findStored(id) {
+		return prisma.sunoCallback.findUnique({ where: { id } });
+	}
+
+	static #tokenMatches(expected, received) {
+		if(!expected || !received) return false;
+
+		const a = Buffer.from(String(expected));
+		const b = Buffer.from(String(received));
+		return a.length === b.length && crypto.timingSafeEqual(a, b);
+	}
+}
+
+export default CallbackService;
@@ -0,0 +1,76 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Bus de eventos de progreso por canción (en memoria, dentro del proceso).
+ *
+ * El pipeline y los callbacks de Suno publican aquí; GET /karaoke/:songId/events
+ * se suscribe y reenvía los eventos como Server-Sent Events. Se guardan los
+ * últimos eventos de cada canción para que un cliente que se conecta tarde
+ * (o reconecta con Last-Event-ID) no pierda las transiciones previas.
+ */
+class EventService {
+	static HISTORY_SIZE = 100;
+	static HISTORY_TTL_MS = 60 * 60 * 1000; // 1 hora
+
+	// Eventos que cierran el stream de una canción
+	static TERMINAL_TYPES = [ 'complete', 'failed', 'cancelled', 'rejected' ];
+
+	static #emitter = new EventEmitter().setMaxListeners(0);
+	static #history = new Map();
+	static #lastId = 0;
+
+	/**
+	 * Publishes an event for a song.
+	 * @param {number} songId
+	 * @param {string} type - stage, embedding, lyrics_ready, title_ready, suno_submitted, first_track_ready, complete, failed...
+	 * @param {Object} [data]
+	 */
+	static emit(songId, type, data = {}) {
+		if(!songId) return null;
+
+		const event = {
+			id: ++this.#lastId,
+			songId,
+			type,
+			data,
+			at: new Date().toISOString(),
+		};
+
+		const history = this.#history.get(songId) || [];
+		history.push(event);
+		if(history.length > this.HISTORY_SIZE) history.shift();
+		this.#history.set(songId, history);
+		this.#pruneHistory();
+
+		this.#emitter.emit(`song:${ songId }`, event);
+		return event;
+	}
+
+	/**
+	 * Subscribes to the events of a song. Returns the unsubscribe function.
+	 */
+	static subscribe(songId, listener) {
+		const channel = `song:${ songId }`;
+		this.#emitter.on(channel, listener);
+		return () => this.#emitter.off(channel, listener);
+	}
+
+	/**
+	 * Buffered events of a song, optionally only those after a given event id.
+	 */
+	static getHistory(songId, afterId = 0) {
+		// Tras un reinicio los ids vuelven a empezar: un Last-Event-ID mayor no es de este proceso
+		if(afterId > this.#lastId) afterId = 0;
+		return (this.#history.get(songId) || []).filter(event => event.id > afterId);
+	}
+
+	static #pruneHistory() {
+		const limit = Date.now() - this.HISTORY_TTL_MS;
+		for(const [ songId, history ] of this.#history) {
+			const last = history[history.length - 1];
+			if(!last || new Date(last.at).getTime() < limit) this.#history.delete(songId);
+		}
+	}
+}
+
+export default EventService;
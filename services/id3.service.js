@@ -0,0 +1,128 @@
+import 'dotenv/config';
+import axios from 'axios';
+import NodeID3 from 'node-id3';
+import { PrismaClient } from '@prisma/client';
+import UploadService from '#services/upload.service.js';
+import PipelineService from '#services/pipeline.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Etiquetas ID3v2 de los MP3 que subimos.
+ *
+ * Antes de subir un track se reescriben sus etiquetas: título de la canción,
+ * artista/álbum con el repositorio y el rango de commits, la portada como APIC
+ * y la letra como USLT (y SYLT cuando ya tenemos los timestamps).
+ */
+class Id3Service {
+	static LANGUAGE = 'eng';
+
+	/**
+	 * Collects the tag values for a render once (the cover is downloaded here),
+	 * so every track of the callback can be tagged with them.
+	 * @param {Object} song
+	 * @param {Object} [version] - SongVersion whose title/lyrics snapshot is used
+	 */
+	static async buildContext(song, version = null) {
+		const repository = await prisma.repository.findUnique({ where: { id: song.repository_id } });
+
+		// Antes de la etapa "finalize" el rango y la portada sólo están en el pipeline
+		const task = await prisma.analysisTask.findFirst({
+			where: { song_id: song.id, task_type: PipelineService.TASK_TYPE },
+			orderBy: { id: 'desc' },
+		});
+		const stages = task?.results?.stages || {};
+		const timeRange = song.time_range || stages.format?.output?.commitSummary?.timeRange || null;
+		const coverAttachmentId = song.cover_attachment_id || stages.cover?.output?.attachmentId || null;
+		const coverUrl = song.cover_image_url || stages.cover?.output?.url || null;
+
+		const repoName = repository?.full_name || 'Git Karaoke';
+		const album = timeRange?.start && timeRange?.end
+			? `${ repoName } (${ this.#formatDate(timeRange.start) } – ${ this.#formatDate(timeRange.end) })`
+			: repoName;
+
+		let cover = null;
+		try {
+			if(coverAttachmentId) {
+				// Desde el almacenamiento: funciona también con portadas privadas
+				const { data } = await UploadService.downloadAttachment(coverAttachmentId);
+				cover = { mime: data.ContentType || 'image/png', buffer: data.Body };
+			} else if(coverUrl) {
+				const response = await axios.get(coverUrl, { responseType: 'arraybuffer' });
+				cover = {
+					mime: response.headers['content-type'] || 'image/png',
+					buffer: Buffer.from(response.data),
+				};
+			}
+		} catch(error) {
+			console.warn(`⚠️ [Id3Service] Could not download cover for song ${ song.id }:`, error.message);
+		}
+
+		return {
+			title: version?.title || song.title,
+			artist: repoName,
+			album,
+			year: String(new Date(timeRange?.end || song.created_at || Date.now()).getFullYear()),
+			instrumental: version ? version.instrumental : song.instrumental,
+			lyrics: version?.lyrics || song.lyrics,
+			cover,
+		};
+	}
+
+	/**
+	 * Rewrites the ID3v2 tags of an MP3 buffer. Returns the original buffer if
+	 * tagging fails: a badly tagged file is better than no file.
+	 * @param {Buffer} buffer
+	 * @param {Object} context - from buildContext()
+	 * @param {Object} [timestamps] - lyrics timestamps ({ lines }) for SYLT
+	 */
+	static tag(buffer, context, timestamps = null) {
+		const tags = {
+			title: context.title,
+			artist: context.artist,
+			album: context.album,
+			year: context.year,
+		};
+
+		if(context.cover) {
+			tags.image = {
+				mime: context.cover.mime,
+				type: { id: NodeID3.TagConstants.AttachedPicture.PictureType.FRONT_COVER },
+				description: 'Cover',
+				imageBuffer: context.cover.buffer,
+			};
+		}
+
+		if(!context.instrumental && context.lyrics) {
+			tags.unsynchronisedLyrics = { language: this.LANGUAGE, text: context.lyrics };
+		}
+
+		if(!context.instrumental && timestamps?.lines?.length) {
+			tags.synchronisedLyrics = [ {
+				language: this.LANGUAGE,
+				timeStampFormat: NodeID3.TagConstants.TimeStampFormat.MILLISECONDS,
+				contentType: NodeID3.TagConstants.SynchronisedLyrics.ContentType.LYRICS,
+				shortText: context.title,
+				synchronisedText: timestamps.lines.map(line => ({
+					text: line.text,
+					timeStamp: Math.round(line.start * 1000),
+				})),
+			} ];
+		}
+
+		try {
+			const tagged = NodeID3.write(tags, buffer);
+			if(!Buffer.isBuffer(tagged)) throw tagged instanceof Error ? tagged : new Error('node-id3 returned no buffer');
+			return tagged;
+		} catch(error) {
+			console.warn('⚠️ [Id3Service] Could not write ID3 tags:', error.message);
+			return buffer;
+		}
+	}
+
+	static #formatDate(value) {
+		return new Date(value).toISOString().slice(0, 10);
+	}
+}
+
+export default Id3Service;
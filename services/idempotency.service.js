@@ -0,0 +1,128 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+class IdempotencyService {
+	static DEFAULT_TTL_HOURS = 24;
+	static PROCESSING_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES || '10', 10) * 60 * 1000;
+	static MAX_ATTEMPTS = 3;
+
+	/**
+	 * Serializa un valor con las claves ordenadas, para que el mismo body
+	 * produzca siempre la misma huella aunque cambie el orden de los campos.
+	 */
+	static #canonicalize(value) {
+		if(Array.isArray(value)) {
+			return `[${ value.map(item => this.#canonicalize(item)).join(',') }]`;
+		}
+		if(value && typeof value === 'object') {
+			return `{${ Object.keys(value)
+				.sort()
+				.filter(key => value[key] !== undefined)
+				.map(key => `${ JSON.stringify(key) }:${ this.#canonicalize(value[key]) }`)
+				.join(',') }}`;
+		}
+		return JSON.stringify(value ?? null);
+	}
+
+	/**
+	 * SHA-256 del body canonicalizado.
+	 */
+	static fingerprint(payload) {
+		return crypto
+			.createHash('sha256')
+			.update(this.#canonicalize(payload || {}))
+			.digest('hex');
+	}
+
+	/**
+	 * Reserva una clave de idempotencia para un scope.
+	 *
+	 * Las claves caducadas, y las que llevan más de PROCESSING_TIMEOUT_MS en
+	 * "processing" (la petición original murió sin completar ni liberar), se
+	 * liberan y la petición actual las vuelve a reservar.
+	 *
+	 * @returns {Promise<Object>} Una de:
+	 *  - { state: 'new', record }       → primera vez; hay que procesar y luego llamar complete()
+	 *  - { state: 'replay', record }    → ya completada; devolver record.response
+	 *  - { state: 'mismatch', record }  → misma clave con otro body (409)
+	 *  - { state: 'in_progress', record } → la petición original sigue en curso (409)
+	 */
+	static async begin(scope, key, payload, ttlHours = this.DEFAULT_TTL_HOURS) {
+		const fingerprint = this.fingerprint(payload);
+
+		// Entre leer, borrar y crear otra petición puede cambiar la clave: se reintenta
+		for(let attempt = 0; attempt < this.MAX_ATTEMPTS; attempt++) {
+			const existing = await prisma.idempotencyKey.findUnique({
+				where: { scope_key: { scope, key } },
+			});
+
+			if(existing && this.#isStale(existing)) {
+				// deleteMany no falla si otra petición ya la borró
+				await prisma.idempotencyKey.deleteMany({ where: { id: existing.id } });
+				continue;
+			}
+
+			if(existing) {
+				if(existing.fingerprint !== fingerprint) return { state: 'mismatch', record: existing };
+				if(existing.status !== 'completed') return { state: 'in_progress', record: existing };
+				return { state: 'replay', record: existing };
+			}
+
+			try {
+				const record = await prisma.idempotencyKey.create({
+					data: {
+						scope,
+						key,
+						fingerprint,
+						status: 'processing',
+						expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+					},
+				});
+				return { state: 'new', record };
+			} catch(error) {
+				// Otra petición con la misma clave ganó la carrera: se vuelve a leer
+				if(error.code !== 'P2002') throw error;
+			}
+		}
+
+		throw new Error('Could not reserve the Idempotency-Key, please retry');
+	}
+
+	/**
+	 * Caducada, o "processing" desde hace más de PROCESSING_TIMEOUT_MS.
+	 */
+	static #isStale(record) {
+		const now = Date.now();
+		if(record.expires_at && new Date(record.expires_at).getTime() < now) return true;
+		return record.status === 'processing'
+			&& new Date(record.created_at).getTime() < now - this.PROCESSING_TIMEOUT_MS;
+	}
+
+	/**
+	 * Guarda el resultado de la petición original para devolverlo en los reintentos.
+	 * Si la clave ya se liberó por timeout (y quizá la reservó otra petición) no se toca.
+	 */
+	static async complete(id, responseStatus, response, songId = null) {
+		return prisma.idempotencyKey.updateMany({
+			where: { id, status: 'processing' },
+			data: {
+				status: 'completed',
+				response_status: responseStatus,
+				response,
+				song_id: songId,
+			},
+		});
+	}
+
+	/**
+	 * Libera la clave (p. ej. tras un error 5xx) para que el cliente pueda reintentar.
+	 */
+	static async release(id) {
+		await prisma.idempotencyKey.delete({ where: { id } }).catch(() => null);
+	}
+}
+
+export default IdempotencyService;
@@ -5,31 +5,30 @@ import path from 'path';
 import slugify from 'slugify';
 
 import GithubService from '#services/github.service.js';
-import ChromaService from '#services/chroma.service.js';
-import AIService from '#services/ai.service.js';
-import SunoService from '#services/suno.service.js';
+import MusicService from '#services/music.service.js';
 import UploadService from '#services/upload.service.js';
+import PipelineService from '#services/pipeline.service.js';
+import VersionService from '#services/version.service.js';
+import EventService from '#services/event.service.js';
+import CallbackService from '#services/callback.service.js';
+import WaveformService from '#services/waveform.service.js';
+import Id3Service from '#services/id3.service.js';
+import AclService from '#services/acl.service.js';
+import LyricsFormat from '#utils/lyrics-format.js';
+import HttpRange from '#utils/http-range.js';
 
 import { PrismaClient } from '@prisma/client';
 const prisma = new PrismaClient();
 
 class KaraokeService {
-	// Aproximación simple: 4 caracteres ~ 1 token. Ajusta si deseas un cálculo más fino.
-	static chunkTextByTokens(text, maxTokens = 3000) {
-		const approxCharsPerToken = 4;
-		const maxChars = maxTokens * approxCharsPerToken;
+	// Orden de los callbacks de Suno para un render
+	static SUNO_STAGES = [ 'text', 'first', 'complete' ];
 
-		const chunks = [];
-		let startIndex = 0;
+	// Canciones cerradas: no se editan ni se vuelven a enviar a Suno
+	static CLOSED_STATUSES = [ 'rejected', 'cancelled' ];
 
-		while(startIndex < text.length) {
-			const endIndex = Math.min(startIndex + maxChars, text.length);
-			const chunk = text.slice(startIndex, endIndex);
-			chunks.push(chunk);
-			startIndex = endIndex;
-		}
-		return chunks;
-	}
+	// Rangos hasta este tamaño desde el byte 0 son sondeos del reproductor (bytes=0-1...), no reproducciones
+	static PLAY_PROBE_BYTES = 64 * 1024;
 
 	static async handleSunoCallbackLyrics(callbackData) {
 		try {
@@ -90,392 +89,773 @@ ${ JSON.stringify(callbackData, null, 2) }
 
 	/**
 	 * Main function to generate a song from a GitHub repository.
+	 * Creates the Song and its song_generation task, then hands it to the
+	 * background pipeline (PipelineService); it does not wait for any stage.
+	 *
+	 * With `dryRun: true` the GitHub + Chroma + AI stages run inline and the pipeline
+	 * stops before Suno: the Song is kept as a "draft" and the intermediate
+	 * artifacts are returned so they can be reviewed (and later promoted).
+	 *
+	 * With `requireApproval: true` the pipeline runs in the background but parks the
+	 * Song in "awaiting_approval" after the title stage, until approveSong() is called.
 	 */
 	static async generateSongFromRepo(options) {
+		console.log('🎵 [KaraokeService] Queuing song generation from repository');
+
+		const {
+			repoUrl,
+			timeRange = 'week',
+			musicStyle = 'Rock',
+			instrumental = false,
+			callbackUrl,
+			dryRun = false,
+			requireApproval = false,
+			acl = null,
+		} = options;
+
+		// Se valida todo antes de crear nada: un error aquí no deja canciones a medias
+		if(!repoUrl) {
+			throw new Error('Repository URL is required');
+		}
+		if(!callbackUrl) {
+			throw new Error('Callback URL is required for Suno API');
+		}
+		if(![ 'day', 'week', 'custom', 'lastActivity' ].includes(timeRange)) {
+			throw new Error(`Invalid time range: ${ timeRange }`);
+		}
+		const startDate = options.startDate ? new Date(options.startDate) : null;
+		const endDate = options.endDate ? new Date(options.endDate) : null;
+		if([ startDate, endDate ].some(date => date && Number.isNaN(date.getTime()))) {
+			throw new Error('Invalid date: startDate and endDate must be valid dates');
+		}
+		if(timeRange === 'custom' && (!startDate || !endDate)) {
+			throw new Error('Invalid time range or missing dates for custom range');
+		}
+		if(startDate && endDate && startDate > endDate) {
+			throw new Error('Invalid time range: startDate must be before endDate');
+		}
+		if(acl && !AclService.ACLS.includes(acl)) {
+			throw new Error(`Invalid acl: ${ acl }. Use one of: ${ AclService.ACLS.join(', ') }`);
+		}
+
 		try {
-			console.log('🎵 [KaraokeService] Starting song generation from repository');
+			const { owner, repo } = GithubService.extractRepoInfoFromUrl(repoUrl);
+			const repositoryId = await this.#findOrCreateRepoId(owner, repo, repoUrl);
 
-			const {
+			const song = await prisma.song.create({
+				data: {
+					title: 'Untitled Song',
+					lyrics: '',
+					style: musicStyle,
+					instrumental,
+					status: 'processing',
+					callback_token: CallbackService.generateToken(),
+					// La ACL se fija al crear la canción: la indicada o según la visibilidad del repo
+					acl: acl || await this.#repositoryAcl(owner, repo),
+					repository: {
+						connect: { id: repositoryId },
+					},
+				},
+			});
+
+			const task = await PipelineService.createTask(song, {
 				repoUrl,
-				timeRange = 'week',
-				startDate,
-				endDate,
-				musicStyle = 'Rock',
-				instrumental = false,
+				timeRange,
+				startDate: startDate ? startDate.toISOString() : null,
+				endDate: endDate ? endDate.toISOString() : null,
+				musicStyle,
+				instrumental,
 				callbackUrl,
-			} = options;
+				haltAfter: dryRun || requireApproval ? 'title' : null,
+				haltStatus: dryRun ? 'draft' : requireApproval ? 'awaiting_approval' : null,
+			}, { enqueue: !dryRun });
+
+			const repository = {
+				owner,
+				repo,
+				url: repoUrl,
+			};
 
-			if(!repoUrl) {
-				throw new Error('Repository URL is required');
-			}
-			if(!callbackUrl) {
-				throw new Error('Callback URL is required for Suno API');
+			if(dryRun) {
+				console.log(`🧪 [KaraokeService] Running preview for song ${ song.id } (task ${ task.id })`);
+				const finishedTask = await PipelineService.run(task.id);
+				if(finishedTask.status === 'failed') {
+					throw new Error(finishedTask.error);
+				}
+
+				return {
+					status: 'draft',
+					songId: song.id,
+					taskId: task.id,
+					repository,
+					preview: PipelineService.getArtifacts(finishedTask),
+				};
 			}
 
-			// 1. Extract repository info
-			console.log('🔍 Extracting repository information');
-			const { owner, repo } = GithubService.extractRepoInfoFromUrl(repoUrl);
+			console.log(`✅ [KaraokeService] Song ${ song.id } queued (task ${ task.id })`);
 
-			// 2. Fetch commits
-			console.log(`📅 Fetching commits for ${ timeRange } timeframe`);
-			let commits;
-			if(timeRange === 'day') {
-				commits = await GithubService.getCommitsForToday(owner, repo);
-			} else if(timeRange === 'week') {
-				commits = await GithubService.getCommitsForThisWeek(owner, repo);
-			} else if(timeRange === 'custom' && startDate && endDate) {
-				commits = await GithubService.getCommitsInCustomInterval(owner, repo, startDate, endDate);
-			} else if(timeRange === 'lastActivity') {
-				// NUEVO BLOQUE para “última actividad”
-				commits = await GithubService.getCommitsByLastActivity(owner, repo);
-			} else {
-				throw new Error('Invalid time range or missing dates for custom range');
-			}
+			return {
+				status: 'queued',
+				songId: song.id,
+				taskId: task.id,
+				repository,
+			};
+		} catch(error) {
+			console.error('❌ [KaraokeService] Error generating song from repo:', error.message);
+			throw new Error(`Error generating song from repository: ${ error.message }`);
+		}
+	}
 
-			if(commits.length === 0) {
-				throw new Error('No commits found in the specified time range');
-			}
-			console.log(`✅ Found ${ commits.length } commits`);
+	/**
+	 * Returns the intermediate artifacts (query, commits, lyrics, title) of a song.
+	 */
+	static async getSongPreview(songId) {
+		const song = await prisma.song.findUnique({ where: { id: songId } });
+		if(!song) throw new Error('Song not found');
+
+		const task = await PipelineService.findTaskForSong(songId);
+		if(!task) throw new Error('No generation pipeline found for this song');
+
+		return {
+			songId,
+			status: song.status,
+			pipeline: PipelineService.describe(task),
+			preview: PipelineService.getArtifacts(task),
+		};
+	}
 
-			// 3. Format commits for analysis
-			console.log('🔄 Formatting commits for analysis');
-			const formattedCommits = await GithubService.formatCommitsForAnalysis(owner, repo, commits);
+	/**
+	 * Promotes a draft (dry-run) into a real song: Suno, cover and finalize run
+	 * in the background reusing the stored lyrics and title.
+	 */
+	static async promoteDraft(songId) {
+		await this.#findSongInStatus(songId, [ 'draft' ]);
+		return PipelineService.release(songId);
+	}
 
-			// 4. Summarize commits
-			console.log('📊 Creating commit summary');
-			const commitSummary = GithubService.summarizeCommits(owner, repo, formattedCommits);
+	/**
+	 * Edits the lyrics and/or title of a song parked before Suno (draft or awaiting_approval).
+	 */
+	static async updateDraft(songId, { lyrics, title } = {}) {
+		await this.#findSongInStatus(songId, [ 'draft', 'awaiting_approval' ]);
 
-			// 5. Store commit data in Chroma for embeddings
-			console.log('💾 Storing commit data in ChromaDB');
-			const collectionName = `github_commits_${ owner }_${ repo }`.replace(/[^\w]/g, '_');
+		if(lyrics === undefined && title === undefined) {
+			throw new Error('Nothing to update: provide lyrics and/or title');
+		}
+		if(lyrics !== undefined && (typeof lyrics !== 'string' || !lyrics.trim() || lyrics.length > 3000)) {
+			throw new Error('Lyrics must be a non-empty string of at most 3000 characters');
+		}
+		if(title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > 80)) {
+			throw new Error('Title must be a non-empty string of at most 80 characters');
+		}
 
-			// Uso de la función que sí setea la embeddingFunction en la colección
-			const collection = await ChromaService.createOrGetCollectionUsingEmbeddings(
-				collectionName,
-				'openai',
-				'text-embedding-ada-002',
-			);
+		const overrides = {};
+		const data = {};
+		if(lyrics !== undefined) {
+			overrides.lyrics = { lyrics };
+			data.lyrics = lyrics;
+		}
+		if(title !== undefined) {
+			overrides.title = { title: title.trim() };
+			data.title = title.trim();
+		}
 
-			// 5a. Upsert each commit into Chroma
-			const commitDocs = formattedCommits.map(commit => {
-				const fileChanges = commit.files
-					.map(file => `File: ${ file.filename } (${ file.status }) - Added: ${ file.additions }, Deleted: ${ file.deletions }\n${ file.patch || '' }`)
-					.join('\n\n');
+		const pipeline = await PipelineService.editHalted(songId, overrides);
+		const song = await prisma.song.update({ where: { id: songId }, data });
 
-				return {
-					id: commit.sha,
-					text: `Commit: ${ commit.sha }\nAuthor: ${ commit.author.name } <${ commit.author.email }>\nDate: ${ commit.date }\nMessage: ${ commit.message }\n\nChanges:\n${ fileChanges }`,
-					metadata: {
-						sha: commit.sha,
-						author: `${ commit.author.name } <${ commit.author.email }>`,
-						date: commit.date instanceof Date ? commit.date.toISOString() : String(commit.date),
-						message: commit.message,
-						additions: commit.stats?.additions ?? 0,
-						deletions: commit.stats?.deletions ?? 0,
-						total: commit.stats?.total ?? 0,
-					},
-				};
-			});
+		return { song, pipeline };
+	}
 
-			// 5a. Upsert each commit into Chroma
-			for(const doc of commitDocs) {
-				// 1) Obtener chunks
-				const chunks = KaraokeService.chunkTextByTokens(doc.text, 3000);
+	/**
+	 * Approves a song awaiting approval: triggers Suno + cover generation.
+	 */
+	static async approveSong(songId) {
+		await this.#findSongInStatus(songId, [ 'awaiting_approval' ]);
+		return PipelineService.release(songId);
+	}
 
-				// 2) Por cada chunk, generar embeddings y guardarlo con un ID distinto
-				for(let i = 0; i < chunks.length; i++) {
-					const chunk = chunks[i];
+	/**
+	 * Rejects a song awaiting approval (or a draft); nothing is sent to Suno.
+	 */
+	static async rejectSong(songId, reason = null) {
+		await this.#findSongInStatus(songId, [ 'draft', 'awaiting_approval' ]);
+		return PipelineService.discard(songId, 'rejected', reason);
+	}
 
-					// Genera embeddings de ESTE chunk
-					const embeddings = await ChromaService.generateEmbeddings([ chunk ]);
+	static async #findSongInStatus(songId, statuses) {
+		const song = await prisma.song.findUnique({ where: { id: songId } });
+		if(!song) throw new Error('Song not found');
+		if(!statuses.includes(song.status)) {
+			throw new Error(`Invalid song status "${ song.status }" (expected: ${ statuses.join(', ') })`);
+		}
+		return song;
+	}
 
-					// Crea un ID distinto por chunk (ej. commitSha__chunk0, chunk1, etc.)
-					const chunkId = `${ doc.id }__chunk_${ i }`;
+	/**
+	 * Replaces the lyrics of an existing song, keeping the previous text in
+	 * meta_data.lyrics_history. Use renderSong() afterwards to get new audio.
+	 */
+	static async updateSongLyrics(songId, lyrics) {
+		const song = await prisma.song.findUnique({ where: { id: songId } });
+		if(!song) throw new Error('Song not found');
+		if([ 'processing', 'draft', 'awaiting_approval' ].includes(song.status)) {
+			throw new Error(`Song is still being generated (status: ${ song.status }); edit the draft instead`);
+		}
+		if(this.CLOSED_STATUSES.includes(song.status)) {
+			throw new Error(`Song was ${ song.status } and cannot be edited`);
+		}
+		if(typeof lyrics !== 'string' || !lyrics.trim() || lyrics.length > 3000) {
+			throw new Error('Lyrics must be a non-empty string of at most 3000 characters');
+		}
 
-					await ChromaService.upsertDocuments(
-						collection,
-						[ chunk ],        // el texto para Chroma
-						[ chunkId ],      // nuevo ID
-						embeddings,
-						[ doc.metadata ], // si quieres repetir la metadata (o ajustarla si deseas)
-					);
-				}
-			}
+		const metaData = song.meta_data || {};
+		const lyricsHistory = metaData.lyrics_history || [];
+
+		return prisma.song.update({
+			where: { id: songId },
+			data: {
+				lyrics,
+				meta_data: {
+					...metaData,
+					lyrics_history: [
+						...lyricsHistory,
+						{ lyrics: song.lyrics, replaced_at: new Date().toISOString() },
+					],
+				},
+			},
+		});
+	}
 
-			// 6. Generate a search query in plain language
-			console.log('🤖 Generating system prompt for AI');
-			const systemPrompt = `
-        You are an assistant specialized in analyzing code commits and providing short, plain text queries for a vector database (Chroma).
-        You MUST respond in valid JSON only, without additional text.
-        
-        Task:
-        Given this repo context:
-        - Name: ${ commitSummary.repositoryName }
-        - Time period: ${ new Date(commitSummary.timeRange.start).toLocaleDateString() } to ${ new Date(commitSummary.timeRange.end).toLocaleDateString() }
-        - Total commits: ${ commitSummary.commitCount }
-        - Top contributors: ${
-				commitSummary.authors
-					.slice(0, 3)
-					.map(a => `${ a.name } (${ a.count } commits)`)
-					.join(', ')
-			}
-        
-        And the most changed files: ${
-				commitSummary.mostChangedFiles
-					.slice(0, 5)
-					.map(file => `${ file.filename } (${ file.changes } changes)`)
-					.join(', ')
-			}
-        
-        Please return a JSON object with the structure:
-        {
-          "searchQuery": "some short plain text describing what user might want to find"
-        }
-
-        IMPORTANT:
-        - Do NOT use advanced operators like "repo:" or "author:" or "path:" or any symbolic plus signs.
-        - Provide a short description in natural English, e.g. "commits about bug fixes and significant features"
-      `;
-
-			console.log('🔍 Generating search query with AI');
-			const aiResponse = await AIService.sendMessage({
-				model: 'gpt-4o',
-				system: systemPrompt,
-				prompt: 'Generate a plain text searchQuery in JSON for relevant commits.',
-				temperature: 0.7,
-				responseFormat: { type: 'json_object' },
-			});
+	/**
+	 * Sends the current lyrics of a song to Suno again (same style and title).
+	 * The new tracks arrive through handleSunoCallback as a new SongVersion (take).
+	 */
+	static async renderSong(songId, { callbackUrl }) {
+		if(!callbackUrl) throw new Error('Callback URL is required for Suno API');
 
-			// Parse searchQuery from JSON
-			let searchQuery = '';
-			try {
-				const raw = aiResponse.choices[0].message.content;
-				const parsed = JSON.parse(raw);
-				searchQuery = parsed.searchQuery || '';
-			} catch(err) {
-				console.error('Failed to parse JSON for searchQuery:', err);
-				searchQuery = aiResponse.choices[0].message.content; // fallback
-			}
+		const song = await prisma.song.findUnique({ where: { id: songId } });
+		if(!song) throw new Error('Song not found');
+		if([ 'processing', 'draft', 'awaiting_approval' ].includes(song.status)) {
+			throw new Error(`Song is still being generated (status: ${ song.status })`);
+		}
+		// Un rechazo no se salta enviándolo a Suno, y el audio de una cancelada se descartaría
+		if(this.CLOSED_STATUSES.includes(song.status)) {
+			throw new Error(`Song was ${ song.status } and cannot be rendered`);
+		}
+		if(!song.instrumental && !song.lyrics) throw new Error('Song has no lyrics to render');
+
+		const style = song.style || 'Pop';
+
+		const provider = MusicService.provider();
+		console.log(`🎹 [KaraokeService] Re-rendering song ${ songId } with ${ provider.name }`);
+		const response = await provider.generateAudio({
+			prompt: song.instrumental ? `A ${ style } song about code and software development` : song.lyrics,
+			style,
+			title: song.title,
+			customMode: true,
+			instrumental: song.instrumental,
+			model: 'V3_5',
+			callBackUrl: await CallbackService.buildUrl(callbackUrl, songId),
+		}, { disableCache: true });
+
+		const sunoTaskId = response?.data?.taskId;
+		if(!sunoTaskId) {
+			console.error(`❌ ${ provider.name } response:`, response);
+			throw new Error(`No "taskId" found in ${ provider.name } response data`);
+		}
 
-			// 6b. Clean up the query to avoid weird characters
-			const sanitizedQuery = searchQuery.replace(/[^\p{L}\p{N}\p{Z}]+/gu, ' ').trim();
-			console.log('📝 Final search query:', sanitizedQuery);
-
-			// 7. Query Chroma
-			console.log('🔎 Searching for relevant commits in Chroma');
-			const searchResults = await ChromaService.queryCollection(collection, [ sanitizedQuery ], 5);
-
-			// 8. Prepare context from search results
-			console.log('📄 Preparing context from search results');
-			const commitContext = searchResults.documents[0].map((doc, idx) => {
-				const metadata = searchResults.metadatas[0][idx];
-				return `
-Commit: ${ metadata.sha }
-Author: ${ metadata.author }
-Date: ${ metadata.date }
-Message: ${ metadata.message }
-
-Changes:
-${ doc.substring(doc.indexOf('Changes:') + 8) }
-        `;
-			}).join('\n\n------\n\n');
-
-			// 9. Generate song lyrics in JSON
-			console.log('🎤 Generating song lyrics with AI');
-			const lyricsSystemPrompt = `
-        You are a creative songwriter focusing on software development.
-        You MUST respond in valid JSON only. No extra text.
-
-        Task:
-        Write lyrics about these recent commits in the repository, referencing specific changes, using some technical terms,
-        and capturing emotional aspects (frustration, triumph, late nights).
-
-        Provide a JSON object like:
-        {
-          "lyrics": "Full song lyrics here"
-        }
-
-        Important commits:
-        ${ commitContext }
-      `;
-
-			const lyricsResponse = await AIService.sendMessage({
-				model: 'gpt-4o',
-				system: lyricsSystemPrompt,
-				prompt: `Write a ${ musicStyle } style song in JSON about these commits.`,
-				temperature: 0.8,
-				responseFormat: { type: 'json_object' },
-			});
+		return VersionService.create(songId, {
+			kind: 'render',
+			title: song.title,
+			lyrics: song.lyrics,
+			style,
+			instrumental: song.instrumental,
+			model: 'V3_5',
+			provider: provider.name,
+			suno_task_id: sunoTaskId,
+		});
+	}
 
-			let songLyrics = '';
-			try {
-				const raw = lyricsResponse.choices[0].message.content;
-				const parsed = JSON.parse(raw);
-				songLyrics = parsed.lyrics || '';
-			} catch(err) {
-				console.error('Failed to parse JSON for song lyrics:', err);
-				songLyrics = lyricsResponse.choices[0].message.content; // fallback
-			}
+	/**
+	 * Continues an existing track from `continueAt` seconds, optionally with extra
+	 * lyrics (e.g. covering commits made after the song). The result arrives through
+	 * handleSunoCallback as a new take linked to the source AudioFile.
+	 *
+	 * @param {number} songId
+	 * @param {number} audioFileId - Track to extend
+	 * @param {Object} options
+	 * @param {number} [options.continueAt] - Second to continue from (defaults to the end of the track)
+	 * @param {string} [options.lyrics] - Lyrics of the continuation
+	 * @param {string} options.callbackUrl
+	 */
+	static async extendTrack(songId, audioFileId, { continueAt = null, lyrics = null, callbackUrl }) {
+		if(!callbackUrl) throw new Error('Callback URL is required for Suno API');
 
-			console.log('✍️ Generated song lyrics:', songLyrics);
-
-			// 10. Generate a short, catchy song title in JSON
-			console.log('🏷️ Generating song title');
-			const titleSystemPrompt = `
-        You are a creative title generator for songs about software development.
-        Respond in valid JSON only, with structure:
-        {
-          "title": "Catchy short title"
-        }
-      `;
-			const titlePrompt = `
-        Based on these lyrics, generate a short and catchy song title:
-        "${ songLyrics.substring(0, 300) }..."
-      `;
-
-			const titleResponse = await AIService.sendMessage({
-				model: 'gpt-4o',
-				system: titleSystemPrompt,
-				prompt: titlePrompt,
-				temperature: 0.8,
-				max_tokens: 25,
-				responseFormat: { type: 'json_object' },
-			});
+		const audioFile = await prisma.audioFile.findUnique({
+			where: { id: audioFileId },
+			include: { song: true, version: true },
+		});
+		if(!audioFile || audioFile.song_id !== songId) throw new Error('Audio file not found for this song');
+		if(!audioFile.suno_audio_id) throw new Error('The track has no Suno audio id');
 
-			let songTitle = 'Untitled Song';
-			try {
-				const raw = titleResponse.choices[0].message.content;
-				const parsed = JSON.parse(raw);
-				songTitle = parsed.title || 'Untitled Song';
-			} catch(err) {
-				console.error('Failed to parse JSON for song title:', err);
-				songTitle = titleResponse.choices[0].message.content.replace(/"/g, '').trim();
-			}
+		const { song } = audioFile;
+		if([ 'processing', 'draft', 'awaiting_approval' ].includes(song.status)) {
+			throw new Error(`Song is still being generated (status: ${ song.status })`);
+		}
+		if(continueAt !== null && (!(continueAt > 0) || (audioFile.duration && continueAt >= audioFile.duration))) {
+			throw new Error(`continueAt must be between 0 and the track duration (${ audioFile.duration || '?' }s)`);
+		}
 
-			console.log('🎵 Generated song title:', songTitle);
+		const style = audioFile.version?.style || song.style || 'Pop';
+		const model = audioFile.version?.model || 'V3_5';
+		const extraLyrics = lyrics ? String(lyrics).trim() : '';
 
-			// 11. Send to Suno
-			console.log('🎹 Generating final audio with Suno API');
-			let songGenerationResponse;
+		// Sin letra ni punto de corte, Suno continúa desde el final con los parámetros del original
+		const customParams = Boolean(extraLyrics || continueAt !== null);
+		const startAt = continueAt ?? audioFile.duration ?? null;
+		if(customParams && startAt === null) {
+			throw new Error('continueAt is required: the track has not been analyzed yet, so its duration is unknown');
+		}
 
-			if(instrumental) {
-				// Just generate an instrumental
-				songGenerationResponse = await SunoService.generateAudio({
-					prompt: `A ${ musicStyle } song about code and software development`,
-					style: musicStyle,
-					title: songTitle,
-					customMode: true,
-					instrumental: true,
-					model: 'V3_5',
-					callBackUrl: callbackUrl,
-				});
-			} else {
-				// 1) Send lyrics to Suno
-				console.log('🎤 Sending lyrics to Suno API for better formatting');
-				await SunoService.generateLyrics({
-					prompt: songLyrics,
-					callBackUrl: `${ callbackUrl }/karaoke/callback/lyrics`,
-				});
-				// 2) Then generate full audio
-				songGenerationResponse = await SunoService.generateAudio({
-					prompt: songLyrics,
-					style: musicStyle,
-					title: songTitle,
-					customMode: true,
-					instrumental: false,
-					model: 'V3_5',
-					callBackUrl: callbackUrl + '/karaoke/callback',
-				});
-			}
+		// El audioId es del proveedor que generó el track: la extensión tiene que ir al mismo
+		const provider = MusicService.provider(audioFile.version?.provider);
+		console.log(`⏩ [KaraokeService] Extending audio file ${ audioFileId } of song ${ songId } with ${ provider.name }`);
+
+		// La versión se crea antes de llamar al proveedor: su callback siempre la encuentra
+		const version = await VersionService.create(songId, {
+			kind: 'extend',
+			title: song.title,
+			lyrics: [ audioFile.version?.lyrics || song.lyrics, extraLyrics ].filter(Boolean).join('\n\n'),
+			style,
+			instrumental: song.instrumental,
+			model,
+			provider: provider.name,
+			source_audio_file: { connect: { id: audioFile.id } },
+			continue_at: startAt,
+		});
 
-			// Aseguramos que la respuesta contenga data y taskId
-			if(!songGenerationResponse || !songGenerationResponse.data) {
-				console.error('❌ SunoService response:', songGenerationResponse);
-				throw new Error('No "data" found in response from SunoService.generateAudio()');
-			}
-			if(!songGenerationResponse.data.taskId) {
-				console.error('❌ "taskId" missing in response data:', songGenerationResponse.data);
-				throw new Error('No "taskId" found in SunoService response data');
+		try {
+			const response = await provider.extendAudio({
+				audioId: audioFile.suno_audio_id,
+				defaultParamFlag: customParams,
+				...(customParams ? {
+					prompt: extraLyrics || `Continue this ${ style } song about code and software development`,
+					style,
+					title: song.title,
+					continueAt: startAt,
+				} : {}),
+				model,
+				callBackUrl: await CallbackService.buildUrl(callbackUrl, songId),
+			});
+
+			const sunoTaskId = response?.data?.taskId;
+			if(!sunoTaskId) {
+				console.error(`❌ ${ provider.name } response:`, response);
+				throw new Error(`No "taskId" found in ${ provider.name } response data`);
 			}
 
-			const sunoTaskId = songGenerationResponse.data.taskId;
-			console.log('🎉 Song generation task initiated with ID:', sunoTaskId);
-const coverPrompt = `As an expert music cover artist, create a visually striking album cover based on the song title "${songTitle}" in the ${musicStyle} genre. The image should: 1) Capture the emotional essence of the song title without using text, 2) Reflect visual aesthetics associated with ${musicStyle}, 3) Use color palettes that evoke the mood of both the title and genre, 4) Feature balanced composition with a clear focal point, 5) Include symbolic imagery referencing the song title, 6) Be in square format, 7) Avoid text, logos, watermarks, or recognizable faces, 8) Have a unique artistic style, 9) Use lighting, texture, and depth for visual interest, 10) Be appropriate for general audiences while being creative. Create a professional album cover that communicates the essence of the music through visuals alone.`.trim();			console.log('🖼️ [DEBUG] Iniciando generación de imagen con prompt:', coverPrompt);
-			let coverAttachment = null;  // Declarada fuera del try
+			return prisma.songVersion.update({
+				where: { id: version.id },
+				data: { suno_task_id: sunoTaskId },
+			});
+		} catch(error) {
+			await prisma.songVersion.update({
+				where: { id: version.id },
+				data: { status: 'failed', error: error.message },
+			});
+			throw error;
+		}
+	}
 
-			try {
-				coverAttachment = await AIService.generateCoverImage(coverPrompt, {
-					size: '512x512',
-					model: 'dall-e-2',
-				});
-				console.log('✅ [DEBUG] Imagen generada y guardada con éxito:', coverAttachment);
-			} catch(error) {
-				console.error('❌ [DEBUG] Error al generar o guardar la imagen:', error.message);
-				throw error;
-			}
+	/**
+	 * Remixes an existing song into another style: a new Song linked to the source,
+	 * reusing its lyrics, title and commit context. Only the Suno, cover and finalize
+	 * stages run for the remix.
+	 */
+	static async remixSong(songId, { musicStyle, instrumental, callbackUrl }) {
+		if(!musicStyle) throw new Error('musicStyle is required');
+		if(!callbackUrl) throw new Error('Callback URL is required for Suno API');
+
+		const source = await prisma.song.findUnique({ where: { id: songId } });
+		if(!source) throw new Error('Song not found');
+		if([ 'processing', 'draft', 'awaiting_approval', 'rejected' ].includes(source.status)) {
+			throw new Error(`Song cannot be remixed yet (status: ${ source.status })`);
+		}
 
-			console.log('💽 [KaraokeService] Storing new song record in DB...');
+		const remixInstrumental = instrumental === undefined ? source.instrumental : Boolean(instrumental);
+		if(!remixInstrumental && !source.lyrics) throw new Error('Song has no lyrics to remix');
 
-			console.log('💽 [KaraokeService] Storing new song record in DB...');
+		const sourceTask = await PipelineService.findTaskForSong(songId);
+		const sourceStages = sourceTask?.results?.stages || {};
 
-			// [Opcional] Guardar en DB la canción con status pending
-			// Ejemplo: crear un registro en la tabla Song con suno_task_id, etc.
-			console.log('💽 [KaraokeService] Storing new song record in DB...');
-			// imprime
-			console.log('MMMMMMMMMMMMMMMMMMMMMMMMMMMMMMMMMMETAS', coverAttachment.metas);
-			// IMAGEN QUE GUARDAM;OS
-			console.log('MMMMMMMMMMMMMMMMMMMMMMMMMMMMMMMMMMETAS', coverAttachment.metas?.location);
-			const newSong = await prisma.song.create({
-				data: {
-					title: songTitle,
-					lyrics: songLyrics,
-					style: musicStyle,
-					instrumental,
-					suno_task_id: sunoTaskId,
-					cover_image_url: coverAttachment?.metas?.location || null,
-					status: 'pending',
-					repository: {
-						connect: {
-							// Ajustar según tu DB
-							id: await this.#findOrCreateRepoId(owner, repo, repoUrl),
-						},
-					},
-					time_range: {
-						start: commitSummary.timeRange.start,
-						end: commitSummary.timeRange.end,
+		// Reutilizamos los checkpoints de contexto del original; la letra y el título salen
+		// de la canción (pueden haberse editado después de generarla).
+		const stages = {};
+		for(const stage of [ 'fetch', 'format', 'embed', 'query' ]) {
+			if(sourceStages[stage]) stages[stage] = sourceStages[stage];
+		}
+		if(!stages.format) {
+			// Canciones anteriores al pipeline: sólo conocemos el rango y el número de commits
+			stages.format = {
+				output: {
+					commitSummary: {
+						timeRange: source.time_range || {},
+						commitCount: source.commit_count,
 					},
-					commit_count: commitSummary.commitCount,
-					prompt: songLyrics, // o el prompt real que quieras guardar
+					commitDocs: [],
 				},
-			});
+				completed_at: new Date().toISOString(),
+			};
+		}
+		for(const stage of [ 'fetch', 'embed', 'query' ]) {
+			if(!stages[stage]) stages[stage] = { output: null, completed_at: new Date().toISOString() };
+		}
+		stages.lyrics = { output: { lyrics: source.lyrics }, completed_at: new Date().toISOString() };
+		stages.title = { output: { title: source.title }, completed_at: new Date().toISOString() };
+
+		const remix = await prisma.song.create({
+			data: {
+				title: source.title,
+				lyrics: source.lyrics,
+				style: musicStyle,
+				instrumental: remixInstrumental,
+				status: 'processing',
+				callback_token: CallbackService.generateToken(),
+				acl: await AclService.resolveSongAcl(source),
+				time_range: source.time_range,
+				commit_count: source.commit_count,
+				repository: { connect: { id: source.repository_id } },
+				source_song: { connect: { id: source.id } },
+			},
+		});
 
-			console.log('✅ [KaraokeService] Song record created:', newSong.id);
+		const task = await PipelineService.createTask(remix, {
+			...(sourceTask?.params || {}),
+			musicStyle,
+			instrumental: remixInstrumental,
+			callbackUrl,
+			haltAfter: null,
+			haltStatus: null,
+			remixOf: source.id,
+		}, { stages });
+
+		console.log(`🎛️ [KaraokeService] Remix ${ remix.id } of song ${ source.id } queued (task ${ task.id })`);
+
+		return {
+			status: 'queued',
+			songId: remix.id,
+			sourceSongId: source.id,
+			taskId: task.id,
+			musicStyle,
+			instrumental: remixInstrumental,
+		};
+	}
 
+	/**
+	 * Lists the versions (renders) of a song with their tracks.
+	 */
+	static async getSongVersions(songId) {
+		const song = await prisma.song.findUnique({ where: { id: songId } });
+		if(!song) throw new Error('Song not found');
+
+		const acl = await AclService.resolveSongAcl(song);
+		const versions = await Promise.all((await VersionService.listForSong(songId)).map(async version => ({
+			...version,
+			audio_files: await Promise.all(version.audio_files.map(audioFile => AclService.presentAudioFile(audioFile, acl))),
+		})));
+		const primary = versions
+			.flatMap(version => version.audio_files)
+			.find(audioFile => audioFile.is_primary) || null;
+
+		return {
+			songId,
+			acl,
+			primaryAudioFileId: primary?.id || null,
+			versions,
+		};
+	}
+
+	/**
+	 * Selects the primary take (AudioFile) of a song.
+	 */
+	static async setPrimaryTake(songId, audioFileId) {
+		return VersionService.setPrimaryAudioFile(songId, audioFileId);
+	}
+
+	/**
+	 * Returns the synchronized lyrics of a track, fetching them from Suno the first
+	 * time (or when `refresh` is set) and storing them on the AudioFile.
+	 */
+	static async getTrackTimestamps(songId, audioFileId, { refresh = false } = {}) {
+		const audioFile = await prisma.audioFile.findUnique({
+			where: { id: audioFileId },
+			include: { version: true, song: true },
+		});
+		if(!audioFile || audioFile.song_id !== songId) throw new Error('Audio file not found for this song');
+
+		let timestamps = audioFile.lyrics_timestamps;
+		if(!timestamps || refresh) {
+			if(audioFile.song.instrumental) throw new Error('Instrumental songs have no lyrics to synchronize');
+
+			const sunoTaskId = audioFile.version?.suno_task_id || audioFile.song.suno_task_id;
+			const updated = await this.syncTrackTimestamps(audioFile, sunoTaskId);
+			timestamps = updated.lyrics_timestamps;
+		}
+
+		return {
+			songId,
+			audioFileId,
+			sunoAudioId: audioFile.suno_audio_id,
+			timestamps,
+		};
+	}
+
+	/**
+	 * Opens the audio of a track for streaming, honoring an HTTP Range header.
+	 * A play is counted when a client requests the whole file, or a range from
+	 * its beginning larger than a probe (PLAY_PROBE_BYTES).
+	 *
+	 * With `withBody: false` (HEAD requests) only the status and headers are resolved.
+	 *
+	 * @returns {Promise<Object>} { status, headers, stream } — stream is null for 304/403/416 and without body
+	 */
+	static async openTrackStream(songId, audioFileId, { range, ifNoneMatch, countPlay = true, withBody = true, expires, signature } = {}) {
+		const audioFile = await prisma.audioFile.findUnique({
+			where: { id: audioFileId },
+			include: { attachment: true, song: true },
+		});
+		if(!audioFile || audioFile.song_id !== songId) throw new Error('Audio file not found for this song');
+		if(!audioFile.attachment) throw new Error('Audio file has no stored attachment');
+
+		// Los tracks de canciones privadas sólo se sirven con la URL firmada de la API
+		const isPrivate = await AclService.resolveSongAcl(audioFile.song) === 'private';
+		if(isPrivate && !AclService.verifyStreamUrl(songId, audioFileId, { expires, signature })) {
+			return { status: 403, headers: {}, stream: null };
+		}
+
+		const info = await UploadService.getAttachmentInfo(audioFile.attachment);
+		const headers = {
+			'Accept-Ranges': 'bytes',
+			'Content-Type': info.contentType || audioFile.mime_type || 'audio/mpeg',
+			'Cache-Control': isPrivate ? 'private, max-age=300' : 'public, max-age=86400',
+			'ETag': info.etag || `"${ audioFile.attachment.id }-${ info.size }"`,
+		};
+		if(info.lastModified) headers['Last-Modified'] = new Date(info.lastModified).toUTCString();
+
+		if(ifNoneMatch && ifNoneMatch === headers.ETag) {
+			return { status: 304, headers, stream: null };
+		}
+
+		const byteRange = HttpRange.parse(range, info.size);
+		if(byteRange?.unsatisfiable) {
 			return {
-				status: 'success',
-				repository: {
-					owner,
-					repo,
-					url: repoUrl,
-				},
-				commitStats: {
-					total: commitSummary.commitCount,
-					timeRange: {
-						start: commitSummary.timeRange.start,
-						end: commitSummary.timeRange.end,
-					},
-				},
-				song: {
-					title: songTitle,
-					lyrics: songLyrics,
-					taskId: sunoTaskId,
-					instrumental,
+				status: 416,
+				headers: { ...headers, 'Content-Range': `bytes */${ info.size }` },
+				stream: null,
+			};
+		}
+
+		const isPlay = !byteRange || (byteRange.start === 0
+			&& (byteRange.end + 1 > this.PLAY_PROBE_BYTES || byteRange.end === info.size - 1));
+		if(countPlay && isPlay) {
+			await prisma.audioFile.update({
+				where: { id: audioFile.id },
+				data: { play_count: { increment: 1 }, last_played_at: new Date() },
+			});
+		}
+
+		if(byteRange) {
+			return {
+				status: 206,
+				headers: {
+					...headers,
+					'Content-Range': `bytes ${ byteRange.start }-${ byteRange.end }/${ info.size }`,
+					'Content-Length': String(byteRange.end - byteRange.start + 1),
 				},
+				stream: withBody ? UploadService.getAttachmentStream(audioFile.attachment, byteRange) : null,
 			};
+		}
+
+		return {
+			status: 200,
+			headers: { ...headers, 'Content-Length': String(info.size) },
+			stream: withBody ? UploadService.getAttachmentStream(audioFile.attachment) : null,
+		};
+	}
+
+	/**
+	 * Returns `points` waveform peaks (0..1) of a track plus its duration and size,
+	 * analyzing the MP3 first if it was never analyzed.
+	 */
+	static async getTrackWaveform(songId, audioFileId, points = WaveformService.DEFAULT_POINTS) {
+		let audioFile = await prisma.audioFile.findUnique({ where: { id: audioFileId } });
+		if(!audioFile || audioFile.song_id !== songId) throw new Error('Audio file not found for this song');
+
+		if(!audioFile.waveform_data?.levels) {
+			audioFile = await WaveformService.analyzeAudioFile(audioFile);
+		}
+
+		const peaks = WaveformService.getPeaks(audioFile.waveform_data, points);
+
+		return {
+			songId,
+			audioFileId,
+			duration: audioFile.duration,
+			fileSize: audioFile.file_size,
+			sampleRate: audioFile.waveform_data.sample_rate,
+			points: peaks.length,
+			peaks,
+		};
+	}
+
+	/**
+	 * Exports the synchronized lyrics of a track as LRC (enhanced, word-level when
+	 * possible), WebVTT or SRT. Without word timestamps the lyric lines are spread
+	 * evenly over the track.
+	 * @returns {Promise<Object>} { content, mimeType, filename, synced }
+	 */
+	static async exportTrackLyrics(songId, audioFileId, format) {
+		if(!LyricsFormat.FORMATS.includes(format)) {
+			throw new Error(`Unsupported lyrics format: ${ format }. Use one of: ${ LyricsFormat.FORMATS.join(', ') }`);
+		}
+
+		const audioFile = await prisma.audioFile.findUnique({
+			where: { id: audioFileId },
+			include: { song: { include: { repository: true } }, attachment: true },
+		});
+		if(!audioFile || audioFile.song_id !== songId) throw new Error('Audio file not found for this song');
+
+		const { song } = audioFile;
+		if(song.instrumental) throw new Error('Instrumental songs have no lyrics to export');
+
+		let timestamps = null;
+		try {
+			({ timestamps } = await this.getTrackTimestamps(songId, audioFileId));
 		} catch(error) {
-			console.error('❌ [KaraokeService] Error generating song from repo:', error.message);
-			throw new Error(`Error generating song from repository: ${ error.message }`);
+			console.warn(`⚠️ [KaraokeService] No timestamps for audio file ${ audioFileId }, spacing lines evenly:`, error.message);
+		}
+
+		const duration = audioFile.duration || Number(audioFile.attachment?.metas?.sunoDuration) || null;
+		const syncedLines = LyricsFormat.linesFromTimestamps(timestamps);
+		const lines = syncedLines || LyricsFormat.evenlySpacedLines(song.lyrics, duration);
+
+		const safeTitle = slugify(song.title || 'lyrics', { lower: true, strict: true });
+
+		return {
+			content: LyricsFormat.render(format, lines, { title: song.title, artist: song.repository?.full_name, duration }),
+			mimeType: LyricsFormat.MIME_TYPES[format],
+			filename: `${ safeTitle }-${ audioFileId }.${ format }`,
+			synced: Boolean(syncedLines),
+		};
+	}
+
+	/**
+	 * Fetches the aligned words of a track from Suno (taskId + audioId) and stores
+	 * them on the AudioFile as words and lines with start/end seconds.
+	 */
+	static async syncTrackTimestamps(audioFile, sunoTaskId) {
+		if(!sunoTaskId) throw new Error('The track has no Suno task');
+		if(!audioFile.suno_audio_id) throw new Error('The track has no Suno audio id');
+
+		console.log(`⏱️ [KaraokeService] Fetching lyric timestamps for audio file ${ audioFile.id }`);
+		const timestamps = await this.#fetchTrackTimestamps(sunoTaskId, audioFile.suno_audio_id);
+
+		return prisma.audioFile.update({
+			where: { id: audioFile.id },
+			data: { lyrics_timestamps: timestamps },
+		});
+	}
+
+	static async #fetchTrackTimestamps(sunoTaskId, sunoAudioId) {
+		const provider = await MusicService.forTask(sunoTaskId);
+		const response = await provider.getTimestampedLyrics({
+			taskId: sunoTaskId,
+			audioId: sunoAudioId,
+		});
+
+		const alignedWords = response?.data?.alignedWords;
+		if(!Array.isArray(alignedWords) || !alignedWords.length) {
+			throw new Error(response?.msg || 'Suno returned no aligned words');
+		}
+
+		return this.#buildTimestamps(alignedWords);
+	}
+
+	/**
+	 * Suno aligned words → { words, lines }. Line breaks travel inside the words
+	 * ("[Verse]\nWaking "), so lines are rebuilt from them; section tags are dropped.
+	 */
+	static #buildTimestamps(alignedWords) {
+		const words = [];
+		const lines = [];
+		let current = null;
+
+		const closeLine = () => {
+			if(current && current.text.trim()) {
+				lines.push({ ...current, text: current.text.trim() });
+			}
+			current = null;
+		};
+
+		for(const aligned of alignedWords) {
+			const start = Number(aligned.startS);
+			const end = Number(aligned.endS);
+			const parts = String(aligned.word || '').split('\n');
+
+			parts.forEach((part, index) => {
+				if(index > 0) closeLine();
+
+				const text = part.replace(/\[[^\]]*\]/g, '');
+				if(!text.trim()) return;
+
+				words.push({ word: text.trim(), start, end });
+				if(!current) current = { text: '', start, end };
+				current.text += text;
+				current.end = end;
+			});
 		}
+		closeLine();
+
+		return {
+			source: 'suno',
+			fetched_at: new Date().toISOString(),
+			words,
+			lines,
+		};
+	}
+
+	/**
+	 * Cancels an in-flight song generation. Pending stages are skipped and any
+	 * Suno callback that arrives later is recorded but does not attach audio.
+	 */
+	static async cancelSongGeneration(songId) {
+		await this.#findSongInStatus(songId, [ 'processing', 'draft', 'awaiting_approval', 'pending', 'failed' ]);
+
+		const pipeline = await PipelineService.cancel(songId);
+		await prisma.songVersion.updateMany({
+			where: { song_id: songId, status: 'pending' },
+			data: { status: 'cancelled' },
+		});
+
+		return { songId, status: 'cancelled', pipeline };
+	}
+
+	/**
+	 * Re-queues a failed or interrupted song from its last completed stage.
+	 */
+	static async resumeSongGeneration(songId) {
+		const song = await prisma.song.findUnique({ where: { id: songId } });
+		if(!song) throw new Error('Song not found');
+
+		return PipelineService.resume(songId);
+	}
+
+	/**
+	 * Returns the pipeline progress for a song.
+	 */
+	static async getSongPipeline(songId) {
+		const task = await PipelineService.findTaskForSong(songId);
+		return task ? PipelineService.describe(task) : null;
 	}
 
 	/**
@@ -491,40 +871,78 @@ const coverPrompt = `As an expert music cover artist, create a visually striking
 				throw new Error('Invalid callback data (no "data" field)');
 			}
 
-			// 1. Descarga los archivos con SunoService
-			console.log('💾 [KaraokeService] Downloading song files from callback...');
-			const savedFiles = await SunoService.downloadAndSaveSongFromCallback(callbackData);
-			console.log('📝 [KaraokeService] Files saved:', savedFiles);
-
 			const sunoTaskId = callbackData.data.task_id;
 			const callbackType = callbackData.data.callbackType || '';
 
-			// 2. Localizar la Song en la DB
-			const songRecord = await prisma.song.findUnique({
-				where: { suno_task_id: sunoTaskId },
-			});
-
+			// 1. Localizar la Song y la versión (render) a la que pertenece la tarea
+			const { song: songRecord, version } = await VersionService.findBySunoTaskId(sunoTaskId);
 			if(!songRecord) {
-				console.warn('⚠️ [KaraokeService] No Song record found for suno_task_id:', sunoTaskId);
-			} else {
-				// Si el callback marca 'complete', pasamos la canción a status=completed
-				if(callbackType === 'complete') {
-					console.log('✅ [KaraokeService] Marking Song as completed');
-					await prisma.song.update({
-						where: { id: songRecord.id },
-						data: { status: 'completed', completed_at: new Date() },
+				// Nunca descargamos audio de tareas que no lanzamos nosotros
+				throw new Error(`Unknown Suno task: ${ sunoTaskId }`);
+			}
+
+			// Canción cancelada: registramos el callback pero no adjuntamos audio
+			if(songRecord?.status === 'cancelled') {
+				console.log(`🛑 [KaraokeService] Ignoring ${ callbackType } callback for cancelled song ${ songRecord.id }`);
+				await this.#recordIgnoredCallback(songRecord, sunoTaskId, callbackType);
+
+				return {
+					status: 'ignored',
+					taskId: sunoTaskId,
+					callbackType,
+					reason: 'Song generation was cancelled',
+				};
+			}
+
+			// Suno avisa de los errores con callbackType "error" (o un code distinto de 200)
+			if(callbackType === 'error' || (callbackData.code && callbackData.code !== 200)) {
+				return this.#handleSunoError(songRecord, version, callbackData);
+			}
+
+			// Etapas intermedias: sólo avanzamos el estado y exponemos el stream de preview
+			if(callbackType === 'text' || callbackType === 'first') {
+				return this.#handleSunoProgress(songRecord, version, callbackData);
+			}
+
+			// 2. Etiquetas ID3 y timestamps de cada track, para escribirlos antes de subir el MP3
+			const tracks = Array.isArray(callbackData.data.data) ? callbackData.data.data : [];
+			const tagContext = await Id3Service.buildContext(songRecord, version).catch(error => {
+				console.warn('⚠️ [KaraokeService] Could not prepare ID3 tags:', error.message);
+				return null;
+			});
+			const timestampsByTrack = {};
+			if(!version.instrumental) {
+				for(const track of tracks) {
+					if(!track.id) continue;
+					timestampsByTrack[track.id] = await this.#fetchTrackTimestamps(sunoTaskId, track.id).catch(error => {
+						console.warn(`⚠️ [KaraokeService] Could not fetch timestamps for track ${ track.id }:`, error.message);
+						return null;
 					});
-				} else {
-					console.log(`ℹ️ [KaraokeService] Callback type: ${ callbackType }. Not marking as complete yet.`);
 				}
 			}
+			const tagTrack = (buffer, track) => tagContext
+				? Id3Service.tag(buffer, tagContext, timestampsByTrack[track?.id])
+				: buffer;
+			const acl = await AclService.resolveSongAcl(songRecord);
+
+			// 3. Descarga los archivos con el proveedor que generó la tarea
+			console.log('💾 [KaraokeService] Downloading song files from callback...');
+			const downloaded = await MusicService.provider(version.provider).downloadTracks(callbackData, { transform: tagTrack, acl });
+			// El buffer de cada track sólo sirve para analizarlo: fuera del log y de la respuesta
+			const savedFiles = downloaded.map(({ buffer, ...file }) => file);
+			console.log('📝 [KaraokeService] Files saved:', savedFiles);
 
-			// 3. Procesar cada track devuelto en savedFiles
+			// 4. Procesar cada track devuelto en savedFiles
 			const doAttachments = [];
-			for(const info of savedFiles) {
-				// 3a) Si tenemos filePath, significa que SÍ guardaste en disco local
+			const audioFiles = [];
+			// MP3 ya en memoria de cada AudioFile, para analizarlo sin volver a descargarlo
+			const buffers = new Map();
+			for(const [ index, info ] of savedFiles.entries()) {
+				// 4a) Si tenemos filePath, significa que SÍ guardaste en disco local
 				if(info.filePath) {
-					const fileBuffer = fs.readFileSync(info.filePath);
+					// El hash para deduplicar es el del MP3 recibido: las etiquetas cambian entre reintentos
+					const rawBuffer = fs.readFileSync(info.filePath);
+					const fileBuffer = tagTrack(rawBuffer, info.trackInfo);
 					const mimeType = 'audio/mpeg';
 
 					// slugificar el título, por ejemplo:
@@ -540,28 +958,34 @@ const coverPrompt = `As an expert music cover artist, create a visually striking
 					};
 
 					// Subida a DO
-					const attachment = await UploadService.createAttachment(uploadFile);
+					const attachment = await UploadService.createAttachment(uploadFile, { acl, sha256: UploadService.hash(rawBuffer) });
 					console.log('✅ [KaraokeService] Uploaded to DO. URL:', attachment.url);
 					doAttachments.push(attachment);
 
-					// Creamos el audioFile si existe la canción
-					if(songRecord) {
-						await prisma.audioFile.create({
-							data: {
-								filename: attachment.slug,
-								url: attachment.url,
-								file_type: 'mp3',
-								mime_type: attachment.mime,
-								is_vocal: true,
-								is_original: true,
-								song_id: songRecord.id,
-								attachment_id: attachment.id,
-							},
-						});
-					}
+					// Ya está en el almacenamiento: el temporal sobra (si falla, lo recoge SweeperService)
+					await fs.promises.rm(info.filePath, { force: true }).catch(error => {
+						console.warn(`⚠️ [KaraokeService] Could not remove temp file ${ info.filePath }:`, error.message);
+					});
+
+					// Creamos el audioFile de la canción
+					const audioFile = await this.#createAudioFile({
+						filename: attachment.slug,
+						url: attachment.url,
+						file_type: 'mp3',
+						mime_type: attachment.mime,
+						is_vocal: true,
+						is_original: true,
+						song_id: songRecord.id,
+						attachment_id: attachment.id,
+						version_id: version?.id || null,
+						suno_audio_id: info.trackInfo?.id || null,
+						lyrics_timestamps: timestampsByTrack[info.trackInfo?.id] || undefined,
+					});
+					audioFiles.push(audioFile);
+					buffers.set(audioFile.id, fileBuffer);
 
 				} else {
-					// 3b) No hay filePath, pero en savedFiles debe venir 'attachment' ya creado (u otra info).
+					// 4b) No hay filePath, pero en savedFiles debe venir 'attachment' ya creado (u otra info).
 					const { trackInfo, attachment } = info;
 
 					if(!attachment) {
@@ -569,32 +993,82 @@ const coverPrompt = `As an expert music cover artist, create a visually striking
 						continue;
 					}
 
-					console.log('🔗 [KaraokeService] We already have an attachment from SunoService:', attachment.url);
+					console.log('🔗 [KaraokeService] We already have an attachment from the music provider:', attachment.url);
 					doAttachments.push(attachment);
 
-					// De nuevo, si la canción existe, creamos su audioFile
-					if(songRecord) {
-						await prisma.audioFile.create({
-							data: {
-								filename: attachment.slug || `${ attachment.id }.mp3`,
-								url: attachment.url,
-								file_type: 'mp3',
-								mime_type: attachment.mime || 'audio/mpeg',
-								is_vocal: true,
-								is_original: true,
-								song_id: songRecord.id,
-								attachment_id: attachment.id,
-								// Opcional: si quieres guardar el ID de Suno en audioFile
-								suno_audio_id: trackInfo?.id || null,
-							},
+					// De nuevo, creamos su audioFile
+					const audioFile = await this.#createAudioFile({
+						filename: attachment.slug || `${ attachment.id }.mp3`,
+						url: attachment.url,
+						file_type: 'mp3',
+						mime_type: attachment.mime || 'audio/mpeg',
+						is_vocal: true,
+						is_original: true,
+						song_id: songRecord.id,
+						attachment_id: attachment.id,
+						version_id: version?.id || null,
+						// Opcional: si quieres guardar el ID de Suno en audioFile
+						suno_audio_id: trackInfo?.id || null,
+						lyrics_timestamps: timestampsByTrack[trackInfo?.id] || undefined,
+					});
+					audioFiles.push(audioFile);
+					if(downloaded[index].buffer) buffers.set(audioFile.id, downloaded[index].buffer);
+				}
+			}
+
+			if(callbackType === 'complete') {
+				await VersionService.ensurePrimaryAudioFile(songRecord.id);
+
+				// Duración, tamaño y forma de onda de cada track (los reutilizados ya la tienen)
+				for(const audioFile of audioFiles.filter(file => !file.waveform_data)) {
+					await WaveformService.analyzeAudioFile(audioFile, buffers.get(audioFile.id)).catch(error => {
+						console.warn(`⚠️ [KaraokeService] Could not analyze audio file ${ audioFile.id }:`, error.message);
+					});
+				}
+
+				// Timestamps de la letra para el modo karaoke: ya se pidieron una vez por track
+				// antes de subir; si fallaron, GET .../timestamps los vuelve a pedir
+				if(!version.instrumental) {
+					for(const audioFile of audioFiles.filter(file => !file.lyrics_timestamps)) {
+						const timestamps = timestampsByTrack[audioFile.suno_audio_id];
+						if(!timestamps) continue;
+
+						// Track reutilizado de una entrega anterior que no los tenía
+						await prisma.audioFile.update({
+							where: { id: audioFile.id },
+							data: { lyrics_timestamps: timestamps },
 						});
 					}
 				}
+
+				// Sólo ahora, con los tracks subidos y registrados, el take está completo
+				console.log(`✅ [KaraokeService] Marking version ${ version.number } of song ${ songRecord.id } as completed`);
+				await prisma.songVersion.update({
+					where: { id: version.id },
+					data: { status: 'completed', completed_at: new Date() },
+				});
+
+				// Sólo el render original completa la canción; los re-renders son takes extra
+				if(version.kind === 'original') {
+					await prisma.song.update({
+						where: { id: songRecord.id },
+						data: { status: 'completed', suno_stage: 'complete', completed_at: new Date() },
+					});
+				}
+
+				EventService.emit(songRecord.id, version.kind === 'original' ? 'complete' : 'version_complete', {
+					sunoTaskId,
+					version: version.number,
+					tracks: doAttachments.length,
+				});
+			} else {
+				console.log(`ℹ️ [KaraokeService] Callback type: ${ callbackType }. Not marking as complete yet.`);
 			}
 
 			return {
 				status: 'success',
 				taskId: sunoTaskId,
+				songId: songRecord.id,
 				callbackType,
 				savedFiles,
 				doAttachments,
@@ -605,15 +1079,172 @@ const coverPrompt = `As an expert music cover artist, create a visually striking
 		}
 	}
 
+	/**
+	 * Creates the AudioFile of an uploaded track. UploadService returns the existing
+	 * attachment for identical content, so a replayed callback gets the AudioFile
+	 * that already points to it instead of a duplicate. If that AudioFile belongs
+	 * to another song or take, the track gets its own copy of the attachment.
+	 */
+	static async #createAudioFile(data) {
+		const existing = await prisma.audioFile.findUnique({ where: { attachment_id: data.attachment_id } });
+		if(!existing) return prisma.audioFile.create({ data });
+
+		if(existing.song_id === data.song_id && existing.version_id === data.version_id) {
+			console.log(`♻️ [KaraokeService] Attachment ${ data.attachment_id } already belongs to audio file ${ existing.id }`);
+			return existing;
+		}
+
+		// Un attachment sólo puede respaldar un AudioFile: no se comparte entre canciones
+		console.log(`📑 [KaraokeService] Attachment ${ data.attachment_id } is used by audio file ${ existing.id } of another song, copying it`);
+		const copy = await UploadService.copyAttachment(data.attachment_id);
+		return prisma.audioFile.create({
+			data: { ...data, filename: copy.slug, url: copy.url, attachment_id: copy.id },
+		});
+	}
+
+	/**
+	 * "text" / "first" callbacks: the render is progressing. Records the stage and,
+	 * when Suno already provides a stream, exposes it as the song preview.
+	 * Nothing is downloaded until "complete".
+	 */
+	static async #handleSunoProgress(song, version, callbackData) {
+		const { task_id: sunoTaskId, callbackType } = callbackData.data;
+		const tracks = Array.isArray(callbackData.data.data) ? callbackData.data.data : [];
+
+		const previewUrl = tracks
+			.flatMap(track => [ track.stream_audio_url, track.source_stream_audio_url, track.audio_url ])
+			.find(url => url && MusicService.provider(version.provider).isAllowedAudioUrl(url)) || null;
+
+		// Un callback atrasado no debe hacer retroceder el estado (p. ej. "text" después de "first")
+		const currentRank = this.SUNO_STAGES.indexOf(song.suno_stage);
+		if(version.kind === 'original' && this.SUNO_STAGES.indexOf(callbackType) > currentRank) {
+			await prisma.song.update({
+				where: { id: song.id },
+				data: {
+					suno_stage: callbackType,
+					...(previewUrl ? { preview_url: previewUrl } : {}),
+				},
+			});
+		}
+
+		console.log(`ℹ️ [KaraokeService] Song ${ song.id } reached Suno stage "${ callbackType }"${ previewUrl ? ' (preview available)' : '' }`);
+		EventService.emit(song.id, callbackType === 'first' ? 'first_track_ready' : 'text_ready', {
+			sunoTaskId,
+			version: version.number,
+			previewUrl,
+		});
+
+		return {
+			status: 'success',
+			taskId: sunoTaskId,
+			songId: song.id,
+			callbackType,
+			previewUrl,
+			savedFiles: [],
+			doAttachments: [],
+		};
+	}
+
+	/**
+	 * "error" callbacks: marks the version (and, for the original render, the song)
+	 * as failed with Suno's error code and message so clients stop waiting.
+	 */
+	static async #handleSunoError(song, version, callbackData) {
+		const sunoTaskId = callbackData.data.task_id;
+		const errorCode = Number.isInteger(callbackData.code) ? callbackData.code : null;
+		const errorMessage = callbackData.msg || callbackData.data.errorMessage || 'Unknown Suno error';
+
+		console.warn(`⚠️ [KaraokeService] Suno reported an error for song ${ song.id } (task ${ sunoTaskId }): [${ errorCode }] ${ errorMessage }`);
+
+		await prisma.songVersion.update({
+			where: { id: version.id },
+			data: { status: 'failed', error: errorMessage },
+		});
+
+		if(version.kind === 'original') {
+			await prisma.song.update({
+				where: { id: song.id },
+				data: {
+					status: 'failed',
+					suno_stage: 'error',
+					error_code: errorCode,
+					error_message: errorMessage,
+				},
+			});
+			EventService.emit(song.id, 'failed', { stage: 'suno', code: errorCode, error: errorMessage });
+		} else {
+			EventService.emit(song.id, 'version_failed', { version: version.number, code: errorCode, error: errorMessage });
+		}
+
+		return {
+			status: 'failed',
+			taskId: sunoTaskId,
+			songId: song.id,
+			callbackType: 'error',
+			errorCode,
+			errorMessage,
+			savedFiles: [],
+			doAttachments: [],
+		};
+	}
+
+	/**
+	 * Runs a stored SunoCallback through its handler and saves the outcome on it.
+	 * Used for live deliveries (after verification) and for admin replays.
+	 */
+	static async processStoredCallback(record, songId = null) {
+		try {
+			const result = record.kind === 'lyrics'
+				? await this.handleSunoCallbackLyrics(record.body)
+				: await this.handleSunoCallback(record.body);
+
+			await CallbackService.finish(record.id, 'processed', {
+				result: {
+					status: result.status,
+					taskId: result.taskId,
+					callbackType: result.callbackType,
+					attachmentIds: (result.doAttachments || []).map(attachment => attachment.id),
+				},
+				songId: result.songId || songId,
+			});
+
+			return result;
+		} catch(error) {
+			await CallbackService.finish(record.id, 'failed', { error: error.message, songId });
+			throw error;
+		}
+	}
+
+	/**
+	 * Re-processes a stored callback (e.g. after fixing a bug in the handler).
+	 */
+	static async replayCallback(callbackId) {
+		const record = await CallbackService.findStored(callbackId);
+		if(!record) throw new Error('Callback not found');
+
+		console.log(`🔁 [KaraokeService] Replaying ${ record.kind } callback ${ record.id } (task ${ record.suno_task_id })`);
+		await prisma.sunoCallback.update({
+			where: { id: record.id },
+			data: { replays: { increment: 1 }, status: 'processing', started_at: new Date() },
+		});
+
+		const result = await this.processStoredCallback(record, record.song_id);
+		return {
+			callback: await CallbackService.findStored(record.id),
+			result,
+		};
+	}
+
 	/**
 	 * Check the status of a song generation task in Suno, with extra logs.
 	 */
 	static async checkSongStatus(taskId) {
 		try {
 			console.log(`🔍 [KaraokeService] Checking status of song task: ${ taskId }`);
-			console.log('🌐 [KaraokeService] Calling SunoService.getTaskDetails with disableCache: true');
+			const provider = await MusicService.forTask(taskId);
+			console.log(`🌐 [KaraokeService] Calling ${ provider.name }.getTaskDetails with disableCache: true`);
 
-			const taskDetails = await SunoService.getTaskDetails(taskId, { disableCache: true });
+			const taskDetails = await provider.getTaskDetails(taskId, { disableCache: true });
 			console.log('[DEBUG] Suno task details:', JSON.stringify(taskDetails, null, 2));
 
 			return {
@@ -635,10 +1266,11 @@ const coverPrompt = `As an expert music cover artist, create a visually striking
 		try {
 			console.log(`⏳ [KaraokeService] Waiting for song completion: ${ taskId }`);
 			let attempts = 0;
+			const provider = await MusicService.forTask(taskId);
 
 			const poll = async () => {
 				console.log(`🔄 [KaraokeService] Polling attempt ${ attempts + 1 }/${ maxAttempts } for taskId=${ taskId }`);
-				const taskDetails = await SunoService.getTaskDetails(taskId, { disableCache: true });
+				const taskDetails = await provider.getTaskDetails(taskId, { disableCache: true });
 				console.log('[DEBUG] Polled status:', JSON.stringify(taskDetails, null, 2));
 
 				const status = taskDetails?.data?.status || 'UNKNOWN';
@@ -674,6 +1306,26 @@ const coverPrompt = `As an expert music cover artist, create a visually striking
 		}
 	}
 
+	/**
+	 * Helper: keeps a trace of callbacks received after a song was cancelled.
+	 */
+	static async #recordIgnoredCallback(song, sunoTaskId, callbackType) {
+		const metaData = song.meta_data || {};
+
+		await prisma.song.update({
+			where: { id: song.id },
+			data: {
+				meta_data: {
+					...metaData,
+					ignored_callbacks: [
+						...(metaData.ignored_callbacks || []),
+						{ task_id: sunoTaskId, callbackType, received_at: new Date().toISOString() },
+					],
+				},
+			},
+		});
+	}
+
 	/**
 	 * Helper: find or create a repository ID for the given (owner,repo).
 	 * Adjust logic as needed for your DB structure.
@@ -699,6 +1351,20 @@ const coverPrompt = `As an expert music cover artist, create a visually striking
 		}
 		return existing.id;
 	}
+
+	/**
+	 * Default ACL for a new song of the repository: private repos give private songs.
+	 * Asks GitHub for the current visibility (which also refreshes the record); if
+	 * the API is not reachable the song is made private rather than exposed.
+	 */
+	static async #repositoryAcl(owner, repo) {
+		try {
+			return (await GithubService.getRepoInfo(owner, repo)).private ? 'private' : 'public-read';
+		} catch(error) {
+			console.warn(`⚠️ [KaraokeService] Could not fetch visibility of ${ owner }/${ repo }, making the song private:`, error.message);
+			return 'private';
+		}
+	}
 }
 
 export default KaraokeService;
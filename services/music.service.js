@@ -0,0 +1,58 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import UploadService from '#services/upload.service.js';
+import SunoProvider from '#services/music/suno.provider.js';
+import MockProvider from '#services/music/mock.provider.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Selección del proveedor de generación de música.
+ *
+ * Todos los proveedores exponen generateAudio/extendAudio/generateLyrics/
+ * getTaskDetails/getTimestampedLyrics/getRemainingCredits con las respuestas
+ * en el formato de apibox (Suno), más isAllowedAudioUrl y downloadTracks para
+ * los callbacks.
+ * Las nuevas tareas van al proveedor de MUSIC_PROVIDER (suno por defecto) y
+ * cada SongVersion guarda en `provider` el que tiene su tarea.
+ */
+class MusicService {
+	static DEFAULT_PROVIDER = process.env.MUSIC_PROVIDER || 'suno';
+
+	static #providers = new Map();
+
+	static #create(name) {
+		if(name === 'suno') {
+			return new SunoProvider({ name });
+		}
+		if(name === 'mock') {
+			return new MockProvider({
+				name,
+				delayMs: parseInt(process.env.MOCK_MUSIC_DELAY_MS || '3000', 10),
+				durationSeconds: parseInt(process.env.MOCK_MUSIC_DURATION_SECONDS || '30', 10),
+				tempPath: UploadService.TEMP_AUDIO_PATH,
+			});
+		}
+		throw new Error(`Unknown music provider: ${ name }`);
+	}
+
+	/**
+	 * Returns the provider with the given name (the configured one by default).
+	 */
+	static provider(name = this.DEFAULT_PROVIDER) {
+		if(!this.#providers.has(name)) this.#providers.set(name, this.#create(name));
+		return this.#providers.get(name);
+	}
+
+	/**
+	 * Provider that owns a generation task (the configured one for unknown tasks).
+	 */
+	static async forTask(taskId) {
+		const version = taskId
+			? await prisma.songVersion.findUnique({ where: { suno_task_id: taskId }, select: { provider: true } })
+			: null;
+		return this.provider(version?.provider || this.DEFAULT_PROVIDER);
+	}
+}
+
+export default MusicService;
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+
+// Frame MPEG-1 Layer III, 128 kbps, 44.1 kHz, joint stereo, sin padding: 417 bytes
+// que con la información lateral a cero decodifican 1152 muestras de silencio.
+const FRAME_HEADER = [ 0xFF, 0xFB, 0x90, 0x64 ];
+const FRAME_SIZE = 417;
+// Cabecera (4) + información lateral estéreo (32): el resto del frame no lo lee el decodificador
+const MAIN_DATA_OFFSET = 36;
+const SAMPLES_PER_FRAME = 1152;
+const SAMPLE_RATE = 44100;
+
+/**
+ * Proveedor de música falso para desarrollo y pruebas (MUSIC_PROVIDER=mock).
+ *
+ * No llama a ninguna API: cada tarea genera dos MP3 de silencio en el
+ * directorio temporal y, pasado un retardo, envía a nuestra propia callBackUrl
+ * los mismos callbacks que Suno ("text", "first" y "complete"). Las respuestas
+ * tienen el formato de apibox para que el resto del código no distinga.
+ */
+class MockProvider {
+	#tasks = new Map();
+
+	constructor({ name = 'mock', delayMs = 3000, durationSeconds = 30, tempPath } = {}) {
+		this.name = name;
+		this.delayMs = delayMs;
+		this.durationSeconds = durationSeconds;
+		this.tempPath = tempPath;
+	}
+
+	async generateAudio(params) {
+		const { prompt, style, title, instrumental = false, model = 'V3_5', callBackUrl } = params;
+		if(!prompt) throw new Error('Missing parameter: prompt');
+		if(!callBackUrl) throw new Error('Missing parameter: callBackUrl');
+
+		const taskId = `mock-${ uuidv4() }`;
+		const task = {
+			taskId,
+			status: 'PENDING',
+			lyrics: instrumental ? '' : prompt,
+			tracks: this.#buildTracks(taskId, { prompt, style, title, model }),
+		};
+		this.#tasks.set(taskId, task);
+
+		console.log(`🧪 [MockProvider] Audio task ${ taskId } created; callbacks to ${ callBackUrl.split('?')[0] }`);
+		this.#run(task, callBackUrl).catch(error => {
+			task.status = 'GENERATE_AUDIO_FAILED';
+			console.error(`❌ [MockProvider] Task ${ taskId } failed:`, error.message);
+		});
+
+		return { code: 200, msg: 'success', data: { taskId } };
+	}
+
+	/**
+	 * Like generateAudio: the "extension" is a new silent track of the configured length.
+	 */
+	async extendAudio(params) {
+		const { audioId, prompt, style, title, model, callBackUrl } = params;
+		if(!audioId) throw new Error('Missing parameter: audioId');
+
+		return this.generateAudio({
+			prompt: prompt || `Continuation of ${ audioId }`,
+			style,
+			title,
+			model,
+			callBackUrl,
+		});
+	}
+
+	async generateLyrics(params) {
+		const { prompt, callBackUrl } = params;
+		if(!prompt) throw new Error('Missing parameter: prompt');
+		if(!callBackUrl) throw new Error('Missing parameter: callBackUrl');
+
+		const taskId = `mock-lyrics-${ uuidv4() }`;
+		setTimeout(() => {
+			this.#sendCallback(callBackUrl, {
+				code: 200,
+				msg: 'All generated successfully.',
+				data: {
+					callbackType: 'complete',
+					task_id: taskId,
+					data: [ { text: prompt, title: '', status: 'complete', error_message: '' } ],
+				},
+			}).catch(error => console.error(`❌ [MockProvider] Lyrics callback for ${ taskId } failed:`, error.message));
+		}, this.delayMs);
+
+		return { code: 200, msg: 'success', data: { taskId } };
+	}
+
+	async getTaskDetails(taskId) {
+		if(!taskId) throw new Error('Missing parameter: taskId');
+
+		// Tras un reinicio la tarea ya no está en memoria: el audio se puede volver a generar
+		const task = this.#tasks.get(taskId) || { taskId, status: 'SUCCESS', tracks: this.#buildTracks(taskId) };
+
+		return {
+			code: 200,
+			msg: 'success',
+			data: {
+				taskId,
+				status: task.status,
+				response: {
+					taskId,
+					sunoData: task.status === 'SUCCESS' ? task.tracks.map(track => ({
+						id: track.id,
+						audioUrl: track.audio_url,
+						streamAudioUrl: track.stream_audio_url,
+						imageUrl: track.image_url,
+						prompt: track.prompt,
+						modelName: track.model_name,
+						title: track.title,
+						tags: track.tags,
+						createTime: track.createTime,
+						duration: track.duration,
+					})) : [],
+				},
+				errorMessage: null,
+			},
+		};
+	}
+
+	/**
+	 * Spreads the words of the lyrics evenly over the track (one word after another).
+	 */
+	async getTimestampedLyrics({ taskId }) {
+		if(!taskId) throw new Error('Missing parameter: taskId');
+
+		const lines = String(this.#tasks.get(taskId)?.lyrics || '')
+			.split('\n')
+			.map(line => line.trim().split(/\s+/).filter(Boolean))
+			.filter(words => words.length);
+		// Las etiquetas de sección ([Verse], [Chorus]...) no se cantan: duración cero
+		const isTag = word => /^\[.*\]$/.test(word);
+		const total = lines.flat().filter(word => !isTag(word)).length;
+		const step = total ? this.durationSeconds / total : 0;
+
+		const alignedWords = [];
+		let sung = 0;
+		lines.forEach((words, lineIndex) => {
+			words.forEach((word, wordIndex) => {
+				const start = sung * step;
+				const end = isTag(word) ? start : start + step;
+				if(!isTag(word)) sung++;
+
+				alignedWords.push({
+					// Como en Suno, el salto de línea viaja delante de la primera palabra
+					word: `${ lineIndex && !wordIndex ? '\n' : '' }${ word } `,
+					success: true,
+					startS: Math.round(start * 100) / 100,
+					endS: Math.round(end * 100) / 100,
+					palign: 0,
+				});
+			});
+		});
+
+		return { code: 200, msg: 'success', data: { alignedWords, waveformData: [], hootCer: 0, isStreamed: false } };
+	}
+
+	async getRemainingCredits() {
+		return { code: 200, msg: 'success', data: 9999 };
+	}
+
+	isAllowedAudioUrl() {
+		return false; // no hay stream de preview
+	}
+
+	/**
+	 * Returns the generated MP3 of each track as a local file (writing it again if
+	 * it is gone), for handleSunoCallback to tag and upload.
+	 */
+	async downloadTracks(callbackData) {
+		const tracks = Array.isArray(callbackData?.data?.data) ? callbackData.data.data : [];
+
+		const results = [];
+		for(const track of tracks) {
+			const filePath = await this.#writeTrack(track);
+			results.push({ trackInfo: track, filePath });
+		}
+		return results;
+	}
+
+	/**
+	 * Silent MP3 of about `seconds` seconds. The `id` is written into the unused
+	 * data of the first frame so that every track has different bytes (otherwise
+	 * attachment dedupe would collapse them), even after its ID3 tag is rewritten.
+	 */
+	static silentMp3(seconds, id = '') {
+		const frames = Math.max(1, Math.ceil((seconds * SAMPLE_RATE) / SAMPLES_PER_FRAME));
+		const buffer = Buffer.alloc(frames * FRAME_SIZE);
+		for(let i = 0; i < frames; i++) {
+			buffer.set(FRAME_HEADER, i * FRAME_SIZE);
+		}
+		buffer.write(String(id), MAIN_DATA_OFFSET, FRAME_SIZE - MAIN_DATA_OFFSET, 'utf8');
+		return buffer;
+	}
+
+	async #run(task, callBackUrl) {
+		const wait = () => new Promise(resolve => setTimeout(resolve, this.delayMs));
+		const callback = (callbackType, tracks) => this.#sendCallback(callBackUrl, {
+			code: 200,
+			msg: callbackType === 'complete' ? 'All generated successfully.' : `${ callbackType } generated successfully.`,
+			data: { callbackType, task_id: task.taskId, data: tracks },
+		});
+
+		await wait();
+		task.status = 'TEXT_SUCCESS';
+		await callback('text', task.tracks.map(track => ({ ...track, audio_url: '', stream_audio_url: '' })));
+
+		await wait();
+		task.status = 'FIRST_SUCCESS';
+		await callback('first', task.tracks.slice(0, 1));
+
+		await wait();
+		for(const track of task.tracks) await this.#writeTrack(track);
+		task.status = 'SUCCESS';
+		await callback('complete', task.tracks);
+	}
+
+	async #sendCallback(callBackUrl, body) {
+		console.log(`🧪 [MockProvider] Sending "${ body.data.callbackType }" callback for ${ body.data.task_id }`);
+		await axios.post(callBackUrl, body, { timeout: 120000 });
+	}
+
+	#buildTracks(taskId, { prompt = '', style = '', title = 'Mock song', model = 'V3_5' } = {}) {
+		return [ 1, 2 ].map(number => ({
+			id: `${ taskId }-${ number }`,
+			audio_url: `${ this.name }://${ taskId }/${ number }.mp3`,
+			source_audio_url: '',
+			stream_audio_url: '',
+			image_url: '',
+			prompt,
+			model_name: model,
+			title,
+			tags: style,
+			createTime: Date.now(),
+			duration: this.durationSeconds,
+		}));
+	}
+
+	async #writeTrack(track) {
+		// El id viene del body del callback: que no pueda escapar del directorio
+		if(!/^[\w-]+$/.test(String(track?.id || ''))) throw new Error(`Invalid mock track id: ${ track?.id }`);
+
+		const filePath = path.join(this.tempPath, `${ track.id }.mp3`);
+		if(!fs.existsSync(filePath)) {
+			await fs.promises.mkdir(this.tempPath, { recursive: true });
+			await fs.promises.writeFile(filePath, MockProvider.silentMp3(Number(track.duration) || this.durationSeconds, track.id));
+		}
+		return filePath;
+	}
+}
+
+export default MockProvider;
@@ -0,0 +1,47 @@
+import SunoService from '#services/suno.service.js';
+
+/**
+ * Proveedor de música real: la API de Suno (apibox) a través de SunoService.
+ */
+class SunoProvider {
+	constructor({ name = 'suno' } = {}) {
+		this.name = name;
+	}
+
+	generateAudio(params, options = {}) {
+		return SunoService.generateAudio(params, options);
+	}
+
+	extendAudio(params) {
+		return SunoService.extendAudio(params);
+	}
+
+	generateLyrics(params) {
+		return SunoService.generateLyrics(params);
+	}
+
+	getTaskDetails(taskId, options = {}) {
+		return SunoService.getTaskDetails(taskId, options);
+	}
+
+	getTimestampedLyrics(params) {
+		return SunoService.getTimestampedLyrics(params);
+	}
+
+	getRemainingCredits() {
+		return SunoService.getRemainingCredits();
+	}
+
+	isAllowedAudioUrl(url) {
+		return SunoService.isAllowedAudioUrl(url);
+	}
+
+	/**
+	 * Downloads the tracks of a "complete" callback into attachments.
+	 */
+	downloadTracks(callbackData, options = {}) {
+		return SunoService.downloadAndSaveSongFromCallback(callbackData, options);
+	}
+}
+
+export default SunoProvider;
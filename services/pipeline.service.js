@@ -0,0 +1,858 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+
+import GithubService from '#services/github.service.js';
+import ChromaService from '#services/chroma.service.js';
+import AIService from '#services/ai.service.js';
+import MusicService from '#services/music.service.js';
+import VersionService from '#services/version.service.js';
+import EventService from '#services/event.service.js';
+import CallbackService from '#services/callback.service.js';
+import AclService from '#services/acl.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Pipeline durable de generación de canciones.
+ *
+ * Cada canción se genera como una AnalysisTask (task_type "song_generation") cuyos
+ * `params` guardan las opciones originales y cuyos `results` guardan el checkpoint
+ * de cada etapa:
+ *
+ *   results = {
+ *     current_stage: 'lyrics',
+ *     stages: { fetch: { output, completed_at }, format: { ... }, ... }
+ *   }
+ *
+ * Si una etapa falla (o el proceso muere), la tarea se puede reanudar y sólo se
+ * ejecutan las etapas que no tienen checkpoint, sin repetir el trabajo ya pagado.
+ *
+ * Con `params.haltAfter` la tarea se detiene (status "halted") al terminar esa etapa y la
+ * canción queda en `params.haltStatus` (p. ej. "draft") hasta que se llame a release().
+ */
+class PipelineService {
+	static TASK_TYPE = 'song_generation';
+	static STAGES = [ 'fetch', 'format', 'embed', 'query', 'lyrics', 'title', 'suno', 'cover', 'finalize' ];
+
+	// Estados del render original que ya fijaron los callbacks de Suno
+	static SUNO_FINAL_VERSION_STATUSES = [ 'completed', 'failed' ];
+
+	static #queue = [];
+	static #running = false;
+	static #abortControllers = new Map();
+
+	// Eventos de progreso (EventService) que se publican al terminar ciertas etapas
+	static #milestones = {
+		fetch: output => [ 'commits_fetched', { count: output.shas.length } ],
+		lyrics: () => [ 'lyrics_ready', {} ],
+		title: output => [ 'title_ready', { title: output.title } ],
+		suno: output => [ 'suno_submitted', { sunoTaskId: output.taskId } ],
+		cover: output => [ 'cover_ready', { url: output.url } ],
+	};
+
+	static #handlers = {
+		fetch: ctx => PipelineService.#fetchCommits(ctx),
+		format: ctx => PipelineService.#formatCommits(ctx),
+		embed: ctx => PipelineService.#embedCommits(ctx),
+		query: ctx => PipelineService.#queryCommits(ctx),
+		lyrics: ctx => PipelineService.#generateLyrics(ctx),
+		title: ctx => PipelineService.#generateTitle(ctx),
+		suno: ctx => PipelineService.#submitToSuno(ctx),
+		cover: ctx => PipelineService.#generateCover(ctx),
+		finalize: ctx => PipelineService.#finalizeSong(ctx),
+	};
+
+	/**
+	 * Creates the song_generation task for an existing Song and queues it
+	 * (pass { enqueue: false } to run it inline with run()). `stages` seeds
+	 * checkpoints that will not be run again, e.g. when remixing a song.
+	 */
+	static async createTask(song, params, { enqueue = true, stages = {} } = {}) {
+		const task = await prisma.analysisTask.create({
+			data: {
+				task_type: this.TASK_TYPE,
+				status: 'pending',
+				params,
+				results: { current_stage: null, stages },
+				repository: { connect: { id: song.repository_id } },
+				song: { connect: { id: song.id } },
+			},
+		});
+
+		if(enqueue) this.enqueue(task.id);
+		return task;
+	}
+
+	/**
+	 * Returns the latest song_generation task of a song.
+	 */
+	static async findTaskForSong(songId) {
+		return prisma.analysisTask.findFirst({
+			where: { song_id: songId, task_type: this.TASK_TYPE },
+			orderBy: { created_at: 'desc' },
+		});
+	}
+
+	/**
+	 * Adds a task to the in-process worker queue.
+	 */
+	static enqueue(taskId) {
+		if(!this.#queue.includes(taskId)) this.#queue.push(taskId);
+		setImmediate(() => this.#drain());
+	}
+
+	/**
+	 * Re-queues a failed or interrupted task from its last completed stage.
+	 */
+	static async resume(songId) {
+		const task = await this.findTaskForSong(songId);
+		if(!task) throw new Error(`No ${ this.TASK_TYPE } task found for song ${ songId }`);
+		if(task.status === 'completed') throw new Error('Song generation already completed');
+		if(task.status === 'halted') throw new Error('Song generation is halted; release it instead of resuming');
+		if([ 'cancelled', 'rejected' ].includes(task.status)) throw new Error(`Song generation was ${ task.status }`);
+
+		await prisma.analysisTask.update({
+			where: { id: task.id },
+			data: { status: 'pending', error: null },
+		});
+		await this.#updateSongStatus(songId, 'processing');
+
+		this.enqueue(task.id);
+		return this.describe({ ...task, status: 'pending', error: null });
+	}
+
+	/**
+	 * Replaces checkpointed outputs of a halted task, e.g. { lyrics: { lyrics }, title: { title } }.
+	 */
+	static async editHalted(songId, stageOverrides) {
+		const task = await this.#findHaltedTask(songId);
+		const results = this.#applyOverrides(task.results, stageOverrides);
+
+		const updated = await prisma.analysisTask.update({
+			where: { id: task.id },
+			data: { results },
+		});
+		return this.describe(updated);
+	}
+
+	/**
+	 * Releases a halted task (draft, approval...) so it continues with the remaining stages.
+	 */
+	static async release(songId) {
+		const task = await this.#findHaltedTask(songId);
+		const params = { ...task.params, haltAfter: null, haltStatus: null };
+
+		const updated = await prisma.analysisTask.update({
+			where: { id: task.id },
+			data: { status: 'pending', params },
+		});
+		await prisma.song.update({
+			where: { id: songId },
+			data: { status: 'processing' },
+		});
+
+		this.enqueue(task.id);
+		return this.describe(updated);
+	}
+
+	/**
+	 * Closes a halted task without running the remaining stages.
+	 */
+	static async discard(songId, status, reason = null) {
+		const task = await this.#findHaltedTask(songId);
+
+		const updated = await prisma.analysisTask.update({
+			where: { id: task.id },
+			data: { status, error: reason, end_date: new Date() },
+		});
+		await prisma.song.update({
+			where: { id: songId },
+			data: { status },
+		});
+		EventService.emit(songId, status, { reason });
+
+		return this.describe(updated);
+	}
+
+	static async #findHaltedTask(songId) {
+		const task = await this.findTaskForSong(songId);
+		if(!task) throw new Error(`No ${ this.TASK_TYPE } task found for song ${ songId }`);
+		if(task.status !== 'halted') throw new Error(`Song generation is not halted (status: ${ task.status })`);
+		return task;
+	}
+
+	static #applyOverrides(results, stageOverrides) {
+		for(const [ stage, output ] of Object.entries(stageOverrides)) {
+			results.stages[stage] = {
+				...results.stages[stage],
+				output: { ...results.stages[stage]?.output, ...output },
+				edited_at: new Date().toISOString(),
+			};
+		}
+		return results;
+	}
+
+	/**
+	 * Cancels a song generation: the remaining stages are not run and the song is
+	 * marked "cancelled" (late Suno callbacks for it are then ignored).
+	 */
+	static async cancel(songId) {
+		const task = await this.findTaskForSong(songId);
+
+		if(task && [ 'pending', 'processing', 'halted', 'failed' ].includes(task.status)) {
+			this.#queue = this.#queue.filter(id => id !== task.id);
+			this.#abortControllers.get(task.id)?.abort();
+
+			await prisma.analysisTask.update({
+				where: { id: task.id },
+				data: { status: 'cancelled', end_date: new Date() },
+			});
+		}
+
+		await prisma.song.update({
+			where: { id: songId },
+			data: { status: 'cancelled' },
+		});
+
+		console.log(`🛑 [PipelineService] Song ${ songId } generation cancelled`);
+		EventService.emit(songId, 'cancelled');
+		return task ? this.describe(await this.findTaskForSong(songId)) : null;
+	}
+
+	/**
+	 * Changes the status of a song unless Suno already finished its original
+	 * render: from then on the status is the one set by its callbacks (a later
+	 * cover or finalize failure must not turn a completed song into failed).
+	 * @param {Object} [where] - Extra conditions on the song, e.g. { status: 'processing' }
+	 * @returns {Promise<boolean>} Whether the song was updated
+	 */
+	static async #updateSongStatus(songId, status, where = {}) {
+		const { count } = await prisma.song.updateMany({
+			where: {
+				...where,
+				id: songId,
+				versions: { none: { kind: 'original', status: { in: this.SUNO_FINAL_VERSION_STATUSES } } },
+			},
+			data: { status },
+		});
+		return count > 0;
+	}
+
+	static async #isCancelled(taskId, signal) {
+		if(signal.aborted) return true;
+
+		// Otro proceso pudo cancelar la tarea: la DB manda
+		const current = await prisma.analysisTask.findUnique({
+			where: { id: taskId },
+			select: { status: true },
+		});
+		return current?.status === 'cancelled';
+	}
+
+	/**
+	 * Called at startup: picks up tasks left pending or processing by a previous process.
+	 */
+	static async startWorker() {
+		const tasks = await prisma.analysisTask.findMany({
+			where: { task_type: this.TASK_TYPE, status: { in: [ 'pending', 'processing' ] } },
+			orderBy: { created_at: 'asc' },
+			select: { id: true },
+		});
+
+		if(tasks.length > 0) {
+			console.log(`🔁 [PipelineService] Resuming ${ tasks.length } interrupted song task(s)`);
+		}
+		tasks.forEach(task => this.enqueue(task.id));
+	}
+
+	static async #drain() {
+		if(this.#running) return;
+		this.#running = true;
+
+		try {
+			while(this.#queue.length > 0) {
+				const taskId = this.#queue.shift();
+				try {
+					await this.run(taskId);
+				} catch(error) {
+					console.error(`❌ [PipelineService] Task ${ taskId } failed:`, error.message);
+				}
+			}
+		} finally {
+			this.#running = false;
+		}
+	}
+
+	/**
+	 * Runs every stage without a checkpoint, persisting each output as it completes.
+	 */
+	static async run(taskId) {
+		let task = await prisma.analysisTask.findUnique({ where: { id: taskId } });
+		if(!task || [ 'completed', 'halted', 'cancelled', 'rejected' ].includes(task.status)) return task;
+
+		const results = task.results?.stages ? task.results : { current_stage: null, stages: {} };
+
+		task = await prisma.analysisTask.update({
+			where: { id: task.id },
+			data: { status: 'processing', start_date: task.start_date || new Date(), error: null },
+		});
+
+		const abortController = new AbortController();
+		this.#abortControllers.set(task.id, abortController);
+
+		const ctx = {
+			task,
+			songId: task.song_id,
+			params: task.params || {},
+			outputs: {},
+			signal: abortController.signal,
+		};
+
+		for(const [ name, checkpoint ] of Object.entries(results.stages)) {
+			ctx.outputs[name] = checkpoint.output;
+		}
+
+		try {
+			for(const stage of this.STAGES) {
+				if(results.stages[stage]) continue;
+
+				if(await this.#isCancelled(task.id, ctx.signal)) {
+					console.log(`🛑 [PipelineService] Task ${ task.id } cancelled before stage "${ stage }"`);
+					return prisma.analysisTask.findUnique({ where: { id: task.id } });
+				}
+
+				// Ya pasamos el punto de parada: la tarea queda detenida hasta release()
+				if(ctx.params.haltAfter && results.stages[ctx.params.haltAfter]) {
+					return this.#halt(task, results, ctx);
+				}
+
+				console.log(`▶️ [PipelineService] Task ${ task.id } → stage "${ stage }"`);
+				results.current_stage = stage;
+				await this.#saveResults(task.id, results);
+				EventService.emit(ctx.songId, 'stage', { stage, status: 'started' });
+
+				const output = await this.#handlers[stage](ctx);
+
+				ctx.outputs[stage] = output;
+				results.stages[stage] = { output, completed_at: new Date().toISOString() };
+				await this.#saveResults(task.id, results);
+				EventService.emit(ctx.songId, 'stage', { stage, status: 'completed' });
+
+				if(this.#milestones[stage]) {
+					EventService.emit(ctx.songId, ...this.#milestones[stage](output));
+				}
+			}
+
+			if(await this.#isCancelled(task.id, ctx.signal)) {
+				return prisma.analysisTask.findUnique({ where: { id: task.id } });
+			}
+
+			results.current_stage = null;
+			task = await prisma.analysisTask.update({
+				where: { id: task.id },
+				data: { status: 'completed', end_date: new Date(), results },
+			});
+			console.log(`✅ [PipelineService] Task ${ task.id } completed`);
+		} catch(error) {
+			if(await this.#isCancelled(task.id, ctx.signal)) {
+				console.log(`🛑 [PipelineService] Task ${ task.id } cancelled during stage "${ results.current_stage }"`);
+				return prisma.analysisTask.findUnique({ where: { id: task.id } });
+			}
+
+			console.error(`❌ [PipelineService] Stage "${ results.current_stage }" failed:`, error.message);
+			EventService.emit(task.song_id, 'failed', { stage: results.current_stage, error: error.message });
+
+			task = await prisma.analysisTask.update({
+				where: { id: task.id },
+				data: {
+					status: 'failed',
+					error: `[${ results.current_stage }] ${ error.message }`,
+					results,
+				},
+			});
+			await this.#updateSongStatus(task.song_id, 'failed');
+		} finally {
+			this.#abortControllers.delete(task.id);
+		}
+
+		return task;
+	}
+
+	/**
+	 * Public view of a pipeline task (without the heavy stage outputs).
+	 */
+	static describe(task) {
+		const stages = task.results?.stages || {};
+		return {
+			taskId: task.id,
+			songId: task.song_id,
+			status: task.status,
+			currentStage: task.results?.current_stage || null,
+			completedStages: this.STAGES.filter(stage => stages[stage]),
+			error: task.error || null,
+		};
+	}
+
+	/**
+	 * Intermediate artifacts of a task (query, retrieved commits, lyrics, title...)
+	 * so they can be reviewed before paying for Suno and DALL-E.
+	 */
+	static getArtifacts(task) {
+		const outputs = Object.fromEntries(
+			Object.entries(task.results?.stages || {}).map(([ stage, checkpoint ]) => [ stage, checkpoint.output ]),
+		);
+
+		return {
+			commitSummary: outputs.format?.commitSummary || null,
+			searchQuery: outputs.query?.searchQuery || null,
+			commits: outputs.query?.commits || [],
+			commitContext: outputs.query?.commitContext || null,
+			lyrics: outputs.lyrics?.lyrics ?? null,
+			title: outputs.title?.title ?? null,
+		};
+	}
+
+	static async #halt(task, results, ctx) {
+		const haltStatus = ctx.params.haltStatus || 'halted';
+		console.log(`⏸️ [PipelineService] Task ${ task.id } halted after "${ ctx.params.haltAfter }" (${ haltStatus })`);
+
+		results.current_stage = null;
+		const halted = await prisma.analysisTask.update({
+			where: { id: task.id },
+			data: { status: 'halted', results },
+		});
+
+		// La canción guarda el borrador para poder listarla/editarla mientras espera
+		await prisma.song.update({
+			where: { id: task.song_id },
+			data: {
+				status: haltStatus,
+				...(ctx.outputs.title ? { title: ctx.outputs.title.title } : {}),
+				...(ctx.outputs.lyrics ? { lyrics: ctx.outputs.lyrics.lyrics } : {}),
+			},
+		});
+		EventService.emit(task.song_id, 'halted', { status: haltStatus, after: ctx.params.haltAfter });
+
+		return halted;
+	}
+
+	static async #saveResults(taskId, results) {
+		await prisma.analysisTask.update({
+			where: { id: taskId },
+			data: { results },
+		});
+	}
+
+	// ---------------------------------------------------------
+	//       ETAPAS
+	// ---------------------------------------------------------
+
+	static async #fetchCommits({ params }) {
+		const { repoUrl, timeRange, startDate, endDate } = params;
+		const { owner, repo } = GithubService.extractRepoInfoFromUrl(repoUrl);
+
+		console.log(`📅 Fetching commits for ${ timeRange } timeframe`);
+		let commits;
+		if(timeRange === 'day') {
+			commits = await GithubService.getCommitsForToday(owner, repo);
+		} else if(timeRange === 'week') {
+			commits = await GithubService.getCommitsForThisWeek(owner, repo);
+		} else if(timeRange === 'custom' && startDate && endDate) {
+			commits = await GithubService.getCommitsInCustomInterval(owner, repo, new Date(startDate), new Date(endDate));
+		} else if(timeRange === 'lastActivity') {
+			commits = await GithubService.getCommitsByLastActivity(owner, repo);
+		} else {
+			throw new Error('Invalid time range or missing dates for custom range');
+		}
+
+		if(commits.length === 0) {
+			throw new Error('No commits found in the specified time range');
+		}
+		console.log(`✅ Found ${ commits.length } commits`);
+
+		return { owner, repo, shas: commits.map(commit => commit.sha) };
+	}
+
+	static async #formatCommits({ outputs }) {
+		const { owner, repo, shas } = outputs.fetch;
+
+		console.log('🔄 Formatting commits for analysis');
+		const formattedCommits = await GithubService.formatCommitsForAnalysis(owner, repo, shas.map(sha => ({ sha })));
+
+		console.log('📊 Creating commit summary');
+		const commitSummary = GithubService.summarizeCommits(owner, repo, formattedCommits);
+
+		const commitDocs = formattedCommits.map(commit => {
+			const fileChanges = commit.files
+				.map(file => `File: ${ file.filename } (${ file.status }) - Added: ${ file.additions }, Deleted: ${ file.deletions }\n${ file.patch || '' }`)
+				.join('\n\n');
+
+			return {
+				id: commit.sha,
+				text: `Commit: ${ commit.sha }\nAuthor: ${ commit.author.name } <${ commit.author.email }>\nDate: ${ commit.date }\nMessage: ${ commit.message }\n\nChanges:\n${ fileChanges }`,
+				metadata: {
+					sha: commit.sha,
+					author: `${ commit.author.name } <${ commit.author.email }>`,
+					date: commit.date instanceof Date ? commit.date.toISOString() : String(commit.date),
+					message: commit.message,
+					additions: commit.stats?.additions ?? 0,
+					deletions: commit.stats?.deletions ?? 0,
+					total: commit.stats?.total ?? 0,
+				},
+			};
+		});
+
+		return { commitSummary, commitDocs };
+	}
+
+	static async #getCollection(owner, repo) {
+		const collectionName = `github_commits_${ owner }_${ repo }`.replace(/[^\w]/g, '_');
+
+		// Uso de la función que sí setea la embeddingFunction en la colección
+		const collection = await ChromaService.createOrGetCollectionUsingEmbeddings(
+			collectionName,
+			'openai',
+			'text-embedding-ada-002',
+		);
+
+		return { collectionName, collection };
+	}
+
+	static async #embedCommits({ songId, outputs, signal }) {
+		const { owner, repo } = outputs.fetch;
+		const { commitDocs } = outputs.format;
+
+		console.log('💾 Storing commit data in ChromaDB');
+		const { collectionName, collection } = await this.#getCollection(owner, repo);
+
+		const docChunks = commitDocs.map(doc => this.chunkTextByTokens(doc.text, 3000));
+		const totalChunks = docChunks.reduce((sum, chunks) => sum + chunks.length, 0);
+
+		let chunkCount = 0;
+		for(const [ docIndex, doc ] of commitDocs.entries()) {
+			const chunks = docChunks[docIndex];
+
+			// Un ID distinto por chunk (ej. commitSha__chunk_0, chunk_1, etc.)
+			for(let i = 0; i < chunks.length; i++) {
+				if(signal.aborted) throw new Error('Song generation cancelled');
+
+				const embeddings = await ChromaService.generateEmbeddings([ chunks[i] ]);
+				await ChromaService.upsertDocuments(
+					collection,
+					[ chunks[i] ],
+					[ `${ doc.id }__chunk_${ i }` ],
+					embeddings,
+					[ doc.metadata ],
+				);
+				chunkCount++;
+				EventService.emit(songId, 'embedding', { done: chunkCount, total: totalChunks });
+			}
+		}
+
+		return { collectionName, commitCount: commitDocs.length, chunkCount };
+	}
+
+	static async #queryCommits({ outputs }) {
+		const { owner, repo } = outputs.fetch;
+		const { commitSummary } = outputs.format;
+
+		const systemPrompt = `
+        You are an assistant specialized in analyzing code commits and providing short, plain text queries for a vector database (Chroma).
+        You MUST respond in valid JSON only, without additional text.
+
+        Task:
+        Given this repo context:
+        - Name: ${ commitSummary.repositoryName }
+        - Time period: ${ new Date(commitSummary.timeRange.start).toLocaleDateString() } to ${ new Date(commitSummary.timeRange.end).toLocaleDateString() }
+        - Total commits: ${ commitSummary.commitCount }
+        - Top contributors: ${
+			commitSummary.authors
+				.slice(0, 3)
+				.map(a => `${ a.name } (${ a.count } commits)`)
+				.join(', ')
+		}
+
+        And the most changed files: ${
+			commitSummary.mostChangedFiles
+				.slice(0, 5)
+				.map(file => `${ file.filename } (${ file.changes } changes)`)
+				.join(', ')
+		}
+
+        Please return a JSON object with the structure:
+        {
+          "searchQuery": "some short plain text describing what user might want to find"
+        }
+
+        IMPORTANT:
+        - Do NOT use advanced operators like "repo:" or "author:" or "path:" or any symbolic plus signs.
+        - Provide a short description in natural English, e.g. "commits about bug fixes and significant features"
+      `;
+
+		console.log('🔍 Generating search query with AI');
+		const aiResponse = await AIService.sendMessage({
+			model: 'gpt-4o',
+			system: systemPrompt,
+			prompt: 'Generate a plain text searchQuery in JSON for relevant commits.',
+			temperature: 0.7,
+			responseFormat: { type: 'json_object' },
+		});
+
+		let searchQuery = '';
+		try {
+			const parsed = JSON.parse(aiResponse.choices[0].message.content);
+			searchQuery = parsed.searchQuery || '';
+		} catch(err) {
+			console.error('Failed to parse JSON for searchQuery:', err);
+			searchQuery = aiResponse.choices[0].message.content; // fallback
+		}
+
+		// Limpia la query para evitar caracteres raros
+		const sanitizedQuery = searchQuery.replace(/[^\p{L}\p{N}\p{Z}]+/gu, ' ').trim();
+		console.log('📝 Final search query:', sanitizedQuery);
+
+		console.log('🔎 Searching for relevant commits in Chroma');
+		const { collection } = await this.#getCollection(owner, repo);
+		const searchResults = await ChromaService.queryCollection(collection, [ sanitizedQuery ], 5);
+
+		const commits = searchResults.metadatas[0];
+		const commitContext = searchResults.documents[0].map((doc, idx) => {
+			const metadata = commits[idx];
+			return `
+Commit: ${ metadata.sha }
+Author: ${ metadata.author }
+Date: ${ metadata.date }
+Message: ${ metadata.message }
+
+Changes:
+${ doc.substring(doc.indexOf('Changes:') + 8) }
+        `;
+		}).join('\n\n------\n\n');
+
+		return { searchQuery: sanitizedQuery, commits, commitContext };
+	}
+
+	static async #generateLyrics({ params, outputs }) {
+		const { musicStyle } = params;
+		const { commitContext } = outputs.query;
+
+		console.log('🎤 Generating song lyrics with AI');
+		const lyricsSystemPrompt = `
+        You are a creative songwriter focusing on software development.
+        You MUST respond in valid JSON only. No extra text.
+
+        Task:
+        Write lyrics about these recent commits in the repository, referencing specific changes, using some technical terms,
+        and capturing emotional aspects (frustration, triumph, late nights).
+
+        Provide a JSON object like:
+        {
+          "lyrics": "Full song lyrics here"
+        }
+
+        Important commits:
+        ${ commitContext }
+      `;
+
+		const lyricsResponse = await AIService.sendMessage({
+			model: 'gpt-4o',
+			system: lyricsSystemPrompt,
+			prompt: `Write a ${ musicStyle } style song in JSON about these commits.`,
+			temperature: 0.8,
+			responseFormat: { type: 'json_object' },
+		});
+
+		let lyrics = '';
+		try {
+			const parsed = JSON.parse(lyricsResponse.choices[0].message.content);
+			lyrics = parsed.lyrics || '';
+		} catch(err) {
+			console.error('Failed to parse JSON for song lyrics:', err);
+			lyrics = lyricsResponse.choices[0].message.content; // fallback
+		}
+
+		console.log('✍️ Generated song lyrics:', lyrics);
+		return { lyrics };
+	}
+
+	static async #generateTitle({ outputs }) {
+		const { lyrics } = outputs.lyrics;
+
+		console.log('🏷️ Generating song title');
+		const titleSystemPrompt = `
+        You are a creative title generator for songs about software development.
+        Respond in valid JSON only, with structure:
+        {
+          "title": "Catchy short title"
+        }
+      `;
+		const titlePrompt = `
+        Based on these lyrics, generate a short and catchy song title:
+        "${ lyrics.substring(0, 300) }..."
+      `;
+
+		const titleResponse = await AIService.sendMessage({
+			model: 'gpt-4o',
+			system: titleSystemPrompt,
+			prompt: titlePrompt,
+			temperature: 0.8,
+			max_tokens: 25,
+			responseFormat: { type: 'json_object' },
+		});
+
+		let title = 'Untitled Song';
+		try {
+			const parsed = JSON.parse(titleResponse.choices[0].message.content);
+			title = parsed.title || 'Untitled Song';
+		} catch(err) {
+			console.error('Failed to parse JSON for song title:', err);
+			title = titleResponse.choices[0].message.content.replace(/"/g, '').trim();
+		}
+
+		console.log('🎵 Generated song title:', title);
+		return { title };
+	}
+
+	static async #submitToSuno({ songId, params, outputs }) {
+		const { musicStyle, instrumental, callbackUrl, remixOf } = params;
+		const { lyrics } = outputs.lyrics;
+		const { title } = outputs.title;
+		const callBackUrl = await CallbackService.buildUrl(callbackUrl, songId);
+
+		// Un remix repite letra/título/estilo de otra petición: la caché devolvería su tarea
+		const apiOptions = { disableCache: Boolean(remixOf) };
+
+		const provider = MusicService.provider();
+		console.log(`🎹 Generating final audio with ${ provider.name }`);
+		let songGenerationResponse;
+
+		if(instrumental) {
+			songGenerationResponse = await provider.generateAudio({
+				prompt: `A ${ musicStyle } song about code and software development`,
+				style: musicStyle,
+				title,
+				customMode: true,
+				instrumental: true,
+				model: 'V3_5',
+				callBackUrl,
+			}, apiOptions);
+		} else {
+			// 1) Send lyrics to Suno
+			console.log(`🎤 Sending lyrics to ${ provider.name } for better formatting`);
+			await provider.generateLyrics({
+				prompt: lyrics,
+				callBackUrl: await CallbackService.buildUrl(callbackUrl, songId, '/lyrics'),
+			});
+			// 2) Then generate full audio
+			songGenerationResponse = await provider.generateAudio({
+				prompt: lyrics,
+				style: musicStyle,
+				title,
+				customMode: true,
+				instrumental: false,
+				model: 'V3_5',
+				callBackUrl,
+			}, apiOptions);
+		}
+
+		if(!songGenerationResponse || !songGenerationResponse.data) {
+			console.error(`❌ ${ provider.name } response:`, songGenerationResponse);
+			throw new Error(`No "data" found in response from ${ provider.name }.generateAudio()`);
+		}
+		if(!songGenerationResponse.data.taskId) {
+			console.error('❌ "taskId" missing in response data:', songGenerationResponse.data);
+			throw new Error(`No "taskId" found in ${ provider.name } response data`);
+		}
+
+		const sunoTaskId = songGenerationResponse.data.taskId;
+		console.log('🎉 Song generation task initiated with ID:', sunoTaskId);
+
+		// El callback de Suno busca la canción por suno_task_id y usa su título,
+		// así que lo guardamos en cuanto tenemos la tarea.
+		await prisma.song.update({
+			where: { id: songId },
+			data: { suno_task_id: sunoTaskId, title, lyrics },
+		});
+		// Un reintento de la etapa puede devolver la misma tarea (caché de ApiCall)
+		const existingVersion = await prisma.songVersion.findUnique({ where: { suno_task_id: sunoTaskId } });
+		if(!existingVersion) {
+			await VersionService.create(songId, {
+				kind: 'original',
+				title,
+				lyrics,
+				style: musicStyle,
+				instrumental,
+				model: 'V3_5',
+				provider: provider.name,
+				suno_task_id: sunoTaskId,
+			});
+		}
+
+		return { taskId: sunoTaskId };
+	}
+
+	static async #generateCover({ songId, params, outputs }) {
+		const { musicStyle } = params;
+		const { title } = outputs.title;
+
+		const coverPrompt = `As an expert music cover artist, create a visually striking album cover based on the song title "${ title }" in the ${ musicStyle } genre. The image should: 1) Capture the emotional essence of the song title without using text, 2) Reflect visual aesthetics associated with ${ musicStyle }, 3) Use color palettes that evoke the mood of both the title and genre, 4) Feature balanced composition with a clear focal point, 5) Include symbolic imagery referencing the song title, 6) Be in square format, 7) Avoid text, logos, watermarks, or recognizable faces, 8) Have a unique artistic style, 9) Use lighting, texture, and depth for visual interest, 10) Be appropriate for general audiences while being creative. Create a professional album cover that communicates the essence of the music through visuals alone.`.trim();
+
+		console.log('🖼️ Generating cover image');
+		const coverAttachment = await AIService.generateCoverImage(coverPrompt, {
+			size: '512x512',
+			model: 'dall-e-2',
+			acl: await AclService.resolveSongAcl(songId),
+		});
+
+		return {
+			attachmentId: coverAttachment.id,
+			url: coverAttachment.metas?.location || coverAttachment.url || null,
+		};
+	}
+
+	static async #finalizeSong({ songId, params, outputs }) {
+		const { musicStyle, instrumental } = params;
+		const { commitSummary } = outputs.format;
+		const { lyrics } = outputs.lyrics;
+
+		console.log('💽 [PipelineService] Finalizing song record in DB...');
+		await prisma.song.update({
+			where: { id: songId },
+			data: {
+				style: musicStyle,
+				instrumental,
+				cover_image_url: outputs.cover.url,
+				cover_attachment_id: outputs.cover.attachmentId || null,
+				time_range: {
+					start: commitSummary.timeRange.start,
+					end: commitSummary.timeRange.end,
+				},
+				commit_count: commitSummary.commitCount,
+				prompt: lyrics,
+			},
+		});
+
+		// El callback de Suno puede haber llegado antes; sólo pasamos a pending si seguimos en processing
+		await this.#updateSongStatus(songId, 'pending', { status: 'processing' });
+
+		return { songId };
+	}
+
+	// Aproximación simple: 4 caracteres ~ 1 token. Ajusta si deseas un cálculo más fino.
+	static chunkTextByTokens(text, maxTokens = 3000) {
+		const approxCharsPerToken = 4;
+		const maxChars = maxTokens * approxCharsPerToken;
+
+		const chunks = [];
+		let startIndex = 0;
+
+		while(startIndex < text.length) {
+			const endIndex = Math.min(startIndex + maxChars, text.length);
+			chunks.push(text.slice(startIndex, endIndex));
+			startIndex = endIndex;
+		}
+		return chunks;
+	}
+}
+
+export default PipelineService;
@@ -0,0 +1,189 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import KaraokeService from '#services/karaoke.service.js';
+import VersionService from '#services/version.service.js';
+import EventService from '#services/event.service.js';
+import CallbackService from '#services/callback.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Reconciliador de renders atascados.
+ *
+ * Si el callback de Suno nunca llega (callBackUrl mal configurada, caída del
+ * servidor...), la canción se queda en "pending" para siempre. Periódicamente
+ * se consultan en Suno las versiones pendientes más antiguas que el umbral:
+ * las terminadas se ingieren igual que un callback "complete" y las que
+ * fallaron (o exceden el tiempo máximo) se marcan como "failed" con el motivo.
+ * CALLBACK_EXCEPTION no es un fallo: Suno generó el audio pero no pudo
+ * entregarnos el callback, justo el caso que cubre este servicio.
+ */
+class ReconcilerService {
+	static INTERVAL_MS = parseInt(process.env.SUNO_RECONCILE_INTERVAL_MINUTES || '5', 10) * 60 * 1000;
+	static STALE_AFTER_MS = parseInt(process.env.SUNO_RECONCILE_AFTER_MINUTES || '15', 10) * 60 * 1000;
+	static GIVE_UP_AFTER_MS = parseInt(process.env.SUNO_RECONCILE_GIVE_UP_HOURS || '24', 10) * 60 * 60 * 1000;
+	static BATCH_SIZE = 20;
+
+	static #timer = null;
+	static #running = false;
+
+	/**
+	 * Starts the periodic sweep (idempotent).
+	 */
+	static start() {
+		if(this.#timer) return;
+
+		this.#timer = setInterval(() => {
+			this.reconcile().catch(error => {
+				console.error('❌ [ReconcilerService] Sweep failed:', error.message);
+			});
+		}, this.INTERVAL_MS);
+		this.#timer.unref?.();
+
+		console.log(`🕰️ [ReconcilerService] Reconciling pending songs every ${ this.INTERVAL_MS / 60000 } min`);
+	}
+
+	static stop() {
+		clearInterval(this.#timer);
+		this.#timer = null;
+	}
+
+	/**
+	 * One sweep over the pending renders older than the threshold.
+	 * @returns {Promise<Array>} Outcome per version: completed, failed, pending or error.
+	 */
+	static async reconcile() {
+		if(this.#running) return [];
+		this.#running = true;
+
+		try {
+			const cutoff = new Date(Date.now() - this.STALE_AFTER_MS);
+
+			// Canciones anteriores a las versiones: sólo tienen Song.suno_task_id
+			const legacySongs = await prisma.song.findMany({
+				where: {
+					status: 'pending',
+					suno_task_id: { not: null },
+					updated_at: { lt: cutoff },
+					versions: { none: {} },
+				},
+				take: this.BATCH_SIZE,
+			});
+			for(const song of legacySongs) {
+				await VersionService.findBySunoTaskId(song.suno_task_id);
+			}
+
+			const versions = await prisma.songVersion.findMany({
+				where: {
+					status: 'pending',
+					suno_task_id: { not: null },
+					created_at: { lt: cutoff },
+					song: { status: { notIn: [ 'cancelled', 'rejected' ] } },
+				},
+				orderBy: { created_at: 'asc' },
+				take: this.BATCH_SIZE,
+			});
+
+			const outcomes = [];
+			for(const version of versions) {
+				try {
+					outcomes.push(await this.#reconcileVersion(version));
+				} catch(error) {
+					console.error(`❌ [ReconcilerService] Version ${ version.id } (${ version.suno_task_id }):`, error.message);
+					outcomes.push({ versionId: version.id, outcome: 'error', error: error.message });
+				}
+			}
+
+			if(outcomes.length) {
+				console.log(`🧹 [ReconcilerService] Reconciled ${ outcomes.length } pending version(s)`);
+			}
+			return outcomes;
+		} finally {
+			this.#running = false;
+		}
+	}
+
+	static async #reconcileVersion(version) {
+		const { details } = await KaraokeService.checkSongStatus(version.suno_task_id);
+		const status = details?.status || 'UNKNOWN';
+		const result = { versionId: version.id, songId: version.song_id, sunoStatus: status };
+
+		const sunoData = details?.response?.sunoData || [];
+		if(status === 'SUCCESS' || (status === 'CALLBACK_EXCEPTION' && sunoData.length)) {
+			const tracks = sunoData.map(track => ({
+				id: track.id,
+				audio_url: track.audioUrl || track.sourceAudioUrl,
+				image_url: track.imageUrl,
+				stream_audio_url: track.streamAudioUrl,
+				prompt: track.prompt,
+				model_name: track.modelName,
+				title: track.title,
+				tags: track.tags,
+				createTime: track.createTime,
+				duration: track.duration,
+			}));
+
+			// Mismo formato que el callback "complete" de Suno. Se registra como uno más
+			// para que no se procese a la vez que el callback real si éste llega ahora.
+			const { record, duplicate } = await CallbackService.claim('audio', {
+				path: 'reconciler',
+				headers: {},
+				body: {
+					code: 200,
+					msg: 'Reconciled from record-info',
+					data: {
+						callbackType: 'complete',
+						task_id: version.suno_task_id,
+						data: tracks,
+					},
+				},
+			});
+			if(duplicate) return { ...result, outcome: 'pending', reason: 'The "complete" callback is already being processed' };
+
+			await KaraokeService.processStoredCallback(record, version.song_id);
+			return { ...result, outcome: 'completed', tracks: tracks.length };
+		}
+
+		const timedOut = version.created_at < new Date(Date.now() - this.GIVE_UP_AFTER_MS);
+		const failed = status !== 'CALLBACK_EXCEPTION'
+			&& (status.includes('FAILED') || status.includes('ERROR') || status.includes('EXCEPTION'));
+		if(failed || timedOut) {
+			const reason = timedOut && !status.includes('FAILED')
+				? `Suno task still ${ status } after ${ this.GIVE_UP_AFTER_MS / 3600000 }h`
+				: `${ status }: ${ details?.errorMessage || 'Unknown error' }`;
+
+			await this.#markFailed(version, reason);
+			return { ...result, outcome: 'failed', reason };
+		}
+
+		return { ...result, outcome: 'pending' };
+	}
+
+	static async #markFailed(version, reason) {
+		console.warn(`⚠️ [ReconcilerService] Marking version ${ version.id } of song ${ version.song_id } as failed: ${ reason }`);
+
+		await prisma.songVersion.update({
+			where: { id: version.id },
+			data: { status: 'failed', error: reason },
+		});
+
+		// Un re-render fallido no tumba una canción que ya tiene su take original
+		if(version.kind !== 'original') {
+			EventService.emit(version.song_id, 'version_failed', { version: version.number, error: reason });
+			return;
+		}
+
+		await prisma.song.update({
+			where: { id: version.song_id },
+			data: {
+				status: 'failed',
+				suno_stage: 'error',
+				error_message: reason,
+			},
+		});
+
+		EventService.emit(version.song_id, 'failed', { stage: 'suno', error: reason });
+	}
+}
+
+export default ReconcilerService;
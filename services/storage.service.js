@@ -0,0 +1,58 @@
+import 'dotenv/config';
+import S3Driver from '#services/storage/s3.driver.js';
+import LocalDriver from '#services/storage/local.driver.js';
+
+/**
+ * Selección del driver de almacenamiento de los attachments.
+ *
+ * Todos los drivers exponen put/get/getStream/head/delete/signedUrl. Los nuevos
+ * archivos van al driver de STORAGE_DRIVER (digitalocean por defecto) y cada
+ * Attachment guarda en `source` el driver que tiene su objeto.
+ */
+class StorageService {
+	static DEFAULT_DRIVER = process.env.STORAGE_DRIVER || 'digitalocean';
+
+	// Nombres alternativos aceptados en STORAGE_DRIVER / Attachment.source
+	static ALIASES = { s3: 'digitalocean', spaces: 'digitalocean', disk: 'local' };
+
+	static #drivers = new Map();
+
+	static #create(name) {
+		if(name === 'digitalocean') {
+			return new S3Driver({
+				name,
+				endpoint: process.env.SPACES_ENDPOINT,
+				accessKeyId: process.env.SPACES_KEY,
+				secretAccessKey: process.env.SPACES_SECRET,
+				bucket: process.env.SPACES_BUCKET_NAME,
+			});
+		}
+		if(name === 'local') {
+			return new LocalDriver({
+				name,
+				root: process.env.STORAGE_LOCAL_PATH || 'storage',
+				publicUrl: process.env.STORAGE_PUBLIC_URL || `${ process.env.CALLBACK_URL || '' }/files`,
+				secret: process.env.STORAGE_SIGNING_SECRET,
+			});
+		}
+		throw new Error(`Unknown storage driver: ${ name }`);
+	}
+
+	/**
+	 * Returns the driver with the given name (the configured one by default).
+	 */
+	static driver(name = this.DEFAULT_DRIVER) {
+		const resolved = this.ALIASES[name] || name;
+		if(!this.#drivers.has(resolved)) this.#drivers.set(resolved, this.#create(resolved));
+		return this.#drivers.get(resolved);
+	}
+
+	/**
+	 * Driver that holds the object of an attachment.
+	 */
+	static forAttachment(attachment) {
+		return this.driver(attachment.source || this.DEFAULT_DRIVER);
+	}
+}
+
+export default StorageService;
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Driver de disco local para desarrollo y pruebas.
+ *
+ * Cada objeto se guarda en `root/key` con un fichero `.meta.json` al lado
+ * (tipo de contenido y ACL). Se sirven desde GET /files/<key>; los privados
+ * sólo con una URL firmada (expires + signature).
+ */
+class LocalDriver {
+	constructor({ name = 'local', root, publicUrl, secret } = {}) {
+		this.name = name;
+		this.root = path.resolve(root || 'storage');
+		this.publicUrl = String(publicUrl || '/files').replace(/\/$/, '');
+		this.secret = secret || '';
+	}
+
+	#path(key) {
+		const filePath = path.resolve(this.root, key);
+		// Evita que una clave con ../ salga del directorio de almacenamiento
+		if(!filePath.startsWith(this.root + path.sep)) throw new Error(`Invalid storage key: ${ key }`);
+		return filePath;
+	}
+
+	async put(key, buffer, { contentType, acl = 'public-read' } = {}) {
+		const filePath = this.#path(key);
+		await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+		await fs.promises.writeFile(filePath, buffer);
+		await fs.promises.writeFile(`${ filePath }.meta.json`, JSON.stringify({ contentType, acl }));
+
+		const url = `${ this.publicUrl }/${ key }`;
+		return { url, meta: { location: url, path: filePath } };
+	}
+
+	async get(key) {
+		const body = await fs.promises.readFile(this.#path(key));
+		const { contentType } = await this.getMeta(key);
+		return { body, contentType, size: body.length };
+	}
+
+	getStream(key, range = null) {
+		return fs.createReadStream(this.#path(key), range ? { start: range.start, end: range.end } : {});
+	}
+
+	async head(key) {
+		const stats = await fs.promises.stat(this.#path(key));
+		const { contentType } = await this.getMeta(key);
+		return {
+			size: stats.size,
+			contentType,
+			lastModified: stats.mtime,
+			etag: `"${ stats.size.toString(16) }-${ Math.floor(stats.mtimeMs).toString(16) }"`,
+		};
+	}
+
+	async delete(key) {
+		const filePath = this.#path(key);
+		await fs.promises.rm(filePath, { force: true });
+		await fs.promises.rm(`${ filePath }.meta.json`, { force: true });
+	}
+
+	async getMeta(key) {
+		try {
+			return JSON.parse(await fs.promises.readFile(`${ this.#path(key) }.meta.json`, 'utf8'));
+		} catch {
+			return { contentType: null, acl: 'public-read' };
+		}
+	}
+
+	async signedUrl(key, { expiresIn = 3600 } = {}) {
+		const expires = Math.floor(Date.now() / 1000) + expiresIn;
+		return `${ this.publicUrl }/${ key }?expires=${ expires }&signature=${ this.#sign(key, expires) }`;
+	}
+
+	verifySignature(key, expires, signature) {
+		if(!this.secret || !expires || !signature) return false;
+		if(Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+		const expected = Buffer.from(this.#sign(key, expires));
+		const received = Buffer.from(String(signature));
+		return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+	}
+
+	#sign(key, expires) {
+		if(!this.secret) throw new Error('STORAGE_SIGNING_SECRET is required to sign local storage URLs');
+		return crypto.createHmac('sha256', this.secret).update(`${ key }:${ expires }`).digest('hex');
+	}
+}
+
+export default LocalDriver;
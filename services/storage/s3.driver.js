@@ -0,0 +1,79 @@
+import AWS from 'aws-sdk';
+
+/**
+ * Driver S3-compatible (DigitalOcean Spaces por defecto, variables SPACES_*).
+ * El cliente se crea en el primer uso para no exigir credenciales a quien no lo usa.
+ */
+class S3Driver {
+	constructor({ name = 'digitalocean', endpoint, accessKeyId, secretAccessKey, bucket } = {}) {
+		this.name = name;
+		this.bucket = bucket;
+		this.config = { endpoint, accessKeyId, secretAccessKey };
+		this.client = null;
+	}
+
+	#s3() {
+		if(!this.client) {
+			if(!this.bucket) throw new Error(`Storage driver "${ this.name }" has no bucket configured`);
+			this.client = new AWS.S3({
+				endpoint: this.config.endpoint ? new AWS.Endpoint(this.config.endpoint) : undefined,
+				accessKeyId: this.config.accessKeyId,
+				secretAccessKey: this.config.secretAccessKey,
+			});
+		}
+		return this.client;
+	}
+
+	/**
+	 * Stores an object. Returns its public URL and driver metadata.
+	 */
+	async put(key, buffer, { contentType, acl = 'public-read' } = {}) {
+		const data = await this.#s3().upload({
+			Bucket: this.bucket,
+			Key: key,
+			Body: buffer,
+			ACL: acl,
+			ContentType: contentType,
+		}).promise();
+
+		return { url: data.Location, meta: { location: data.Location, s3: data } };
+	}
+
+	async get(key) {
+		const data = await this.#s3().getObject({ Bucket: this.bucket, Key: key }).promise();
+		return { body: Buffer.from(data.Body), contentType: data.ContentType, size: data.ContentLength };
+	}
+
+	/**
+	 * Readable stream of the object, optionally of an inclusive byte range { start, end }.
+	 */
+	getStream(key, range = null) {
+		const params = { Bucket: this.bucket, Key: key };
+		if(range) params.Range = `bytes=${ range.start }-${ range.end }`;
+		return this.#s3().getObject(params).createReadStream();
+	}
+
+	async head(key) {
+		const head = await this.#s3().headObject({ Bucket: this.bucket, Key: key }).promise();
+		return {
+			size: head.ContentLength,
+			contentType: head.ContentType,
+			lastModified: head.LastModified,
+			etag: head.ETag,
+		};
+	}
+
+	async delete(key) {
+		await this.#s3().deleteObject({ Bucket: this.bucket, Key: key }).promise();
+	}
+
+	async signedUrl(key, { expiresIn = 3600 } = {}) {
+		return this.#s3().getSignedUrlPromise('getObject', {
+			Bucket: this.bucket,
+			Key: key,
+			Expires: expiresIn,
+		});
+	}
+}
+
+export default S3Driver;
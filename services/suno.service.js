@@ -3,6 +3,7 @@ import axios from 'axios';
 import crypto from 'crypto';
 import { PrismaClient } from '@prisma/client';
 import UploadService from '#services/upload.service.js';
+import SafeDownload from '#utils/safe-download.js';
 
 const prisma = new PrismaClient();
 
@@ -11,6 +12,10 @@ class SunoService {
   static API_VERSION = 'v1';
   static DEFAULT_CACHE_HOURS = 24; // puedes ajustar si lo deseas
 
+  // Hosts desde los que aceptamos descargar audio (dominio exacto o subdominio).
+  // Se puede sobreescribir con SUNO_AUDIO_HOSTS="host1,host2"
+  static AUDIO_HOSTS = UploadService.DOWNLOAD_ORIGINS.suno.hosts;
+
   /**
    * @function #getAuthHeaders
    * @description Genera las cabeceras de autorización para Suno API.
@@ -229,9 +234,10 @@ class SunoService {
    * @param {boolean} [params.instrumental=false] - Si se desea solo instrumental
    * @param {string} [params.model='V3_5'] - Modelo (V3_5 o V4)
    * @param {string} params.callBackUrl - URL de callback para notificar el estado final
+   * @param {Object} [options] - Opciones de #cachedApiCall (ej. { disableCache: true } para re-renderizar)
    * @returns {Promise<Object>}
    */
-  static async generateAudio(params) {
+  static async generateAudio(params, options = {}) {
     const {
       prompt,
       style,
@@ -283,7 +289,54 @@ class SunoService {
     }
 
     const endpoint = `/${this.API_VERSION}/generate`;
-    return this.#cachedApiCall('POST', endpoint, requestData);
+    return this.#cachedApiCall('POST', endpoint, requestData, options);
+  }
+
+  /**
+   * @function extendAudio
+   * @description Crea una tarea que continúa un track existente de Suno.
+   * @param {Object} params
+   * @param {string} params.audioId - ID del track de Suno a extender
+   * @param {boolean} [params.defaultParamFlag=false] - true para usar prompt/style/title/continueAt propios;
+   *   false para continuar desde el final con los parámetros del track original
+   * @param {string} [params.prompt] - Letra (o descripción si es instrumental) de la continuación
+   * @param {string} [params.style] - Estilo musical
+   * @param {string} [params.title] - Título
+   * @param {number} [params.continueAt] - Segundo del track original desde el que se continúa
+   * @param {string} [params.model='V3_5'] - Modelo (debe ser el del track original)
+   * @param {string} params.callBackUrl - URL de callback (mismos callbacks que generateAudio)
+   * @returns {Promise<Object>}
+   */
+  static async extendAudio(params) {
+    const {
+      audioId,
+      defaultParamFlag = false,
+      prompt,
+      style,
+      title,
+      continueAt,
+      model = 'V3_5',
+      callBackUrl,
+    } = params;
+
+    if (!audioId) throw new Error('Missing parameter: audioId');
+    if (!callBackUrl) throw new Error('Missing parameter: callBackUrl');
+
+    const requestData = { audioId, defaultParamFlag, model, callBackUrl };
+
+    if (defaultParamFlag) {
+      if (!prompt || !style || !title || continueAt === undefined) {
+        throw new Error('defaultParamFlag requiere prompt, style, title y continueAt');
+      }
+      if (prompt.length > 3000) {
+        throw new Error('Prompt excede 3000 caracteres');
+      }
+      Object.assign(requestData, { prompt, style, title, continueAt });
+    }
+
+    const endpoint = `/${this.API_VERSION}/generate/extend`;
+    // Cada extensión es una tarea nueva aunque se repitan los parámetros
+    return this.#cachedApiCall('POST', endpoint, requestData, { disableCache: true });
   }
 
   /**
@@ -382,13 +435,26 @@ class SunoService {
     return this.#cachedApiCall('GET', endpoint, {});
   }
 
+  /**
+   * @function isAllowedAudioUrl
+   * @description Comprueba que una URL de audio sea https y pertenezca a un host permitido.
+   * @param {string} audioUrl - URL recibida en el callback
+   * @returns {boolean}
+   */
+  static isAllowedAudioUrl(audioUrl) {
+    return SafeDownload.isAllowedUrl(audioUrl, this.AUDIO_HOSTS);
+  }
+
   /**
    * @function downloadAndSaveSongFromCallback
    * @description Descarga y guarda el archivo de audio proporcionado en el callback de Suno.
    * @param {Object} callbackData - Datos del callback
-   * @returns {Promise<Array>} - Lista de resultados (trackInfo + attachment)
+   * @param {Object} [options] - Opciones adicionales
+   * @param {Function} [options.transform] - (buffer, track) => buffer, se aplica antes de subir cada track
+   * @param {string} [options.acl] - ACL de los archivos subidos (public-read, private)
+   * @returns {Promise<Array>} - Lista de resultados (trackInfo + attachment + buffer subido)
    */
-  static async downloadAndSaveSongFromCallback(callbackData) {
+  static async downloadAndSaveSongFromCallback(callbackData, options = {}) {
     try {
       if (!callbackData?.data?.data || !Array.isArray(callbackData.data.data)) {
         throw new Error('Estructura de callback data inválida');
@@ -397,13 +463,26 @@ class SunoService {
       const tracks = callbackData.data.data;
       const results = [];
 
+      // Validamos todas las URLs antes de descargar nada
+      const rejected = tracks.find(track => track.audio_url && !this.isAllowedAudioUrl(track.audio_url));
+      if (rejected) {
+        throw new Error(`Audio host not allowed: ${rejected.audio_url}`);
+      }
+
       for (const track of tracks) {
         if (!track.audio_url) {
           console.warn('⚠️ [SunoService] No se encontró audio_url en el track');
           continue;
         }
-        // Descargar y guardar con UploadService
+        // Descargar y guardar con UploadService; el buffer se conserva para analizarlo sin volver a descargarlo
+        let buffer = null;
         const attachment = await UploadService.createAttachmentFromUrl(track.audio_url, {
+          origin: 'suno',
+          transform: async downloaded => {
+            buffer = options.transform ? await options.transform(downloaded, track) : downloaded;
+            return buffer;
+          },
+          acl: options.acl,
           metas: {
             sunoId: track.id,
             sunoTaskId: callbackData.data.task_id,
@@ -416,7 +495,7 @@ class SunoService {
           },
         });
 
-        results.push({ trackInfo: track, attachment });
+        results.push({ trackInfo: track, attachment, buffer });
       }
 
       return results;
@@ -0,0 +1,211 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { PrismaClient } from '@prisma/client';
+import UploadService from '#services/upload.service.js';
+import PipelineService from '#services/pipeline.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Recolector de archivos huérfanos.
+ *
+ * Quedan attachments sin usar cuando el pipeline falla después de generar la
+ * portada, cuando se sube dos veces el mismo audio, etc., y MP3 temporales en
+ * disco si el proceso cae entre la descarga y la subida. Periódicamente se
+ * buscan los attachments que no usa ningún AudioFile ni ninguna portada de
+ * canción y los temporales de audio, y se borran (almacenamiento y base de
+ * datos) una vez pasado el periodo de gracia.
+ */
+class SweeperService {
+	static INTERVAL_MS = parseInt(process.env.GC_INTERVAL_HOURS || '6', 10) * 60 * 60 * 1000;
+	static GRACE_MS = parseInt(process.env.GC_GRACE_HOURS || '24', 10) * 60 * 60 * 1000;
+	static TEMP_AUDIO_PATH = UploadService.TEMP_AUDIO_PATH;
+	static BATCH_SIZE = 200;
+
+	// Tareas del pipeline que todavía pueden usar la portada que generaron
+	static ACTIVE_TASK_STATUSES = [ 'pending', 'processing', 'halted' ];
+
+	static #timer = null;
+	static #running = false;
+
+	/**
+	 * Starts the periodic sweep (idempotent).
+	 */
+	static start() {
+		if(this.#timer) return;
+
+		this.#timer = setInterval(() => {
+			this.sweep().catch(error => {
+				console.error('❌ [SweeperService] Sweep failed:', error.message);
+			});
+		}, this.INTERVAL_MS);
+		this.#timer.unref?.();
+
+		console.log(`🧺 [SweeperService] Collecting orphaned files every ${ this.INTERVAL_MS / 3600000 }h (grace ${ this.GRACE_MS / 3600000 }h)`);
+	}
+
+	static stop() {
+		clearInterval(this.#timer);
+		this.#timer = null;
+	}
+
+	/**
+	 * Finds (and unless dryRun, deletes) orphaned attachments and temp audio files
+	 * older than the grace period.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.dryRun=false] - Only report what would be deleted
+	 * @returns {Promise<Object>} { dryRun, cutoff, attachments, files, freedBytes }
+	 */
+	static async sweep({ dryRun = false } = {}) {
+		if(this.#running) throw new Error('A sweep is already running');
+		this.#running = true;
+
+		try {
+			const cutoff = new Date(Date.now() - this.GRACE_MS);
+			const attachments = await this.findOrphanedAttachments(cutoff);
+			const files = await this.findTempFiles(cutoff);
+
+			if(!dryRun) {
+				for(const item of attachments) {
+					try {
+						await UploadService.deleteAttachment(item.attachment);
+						item.deleted = true;
+					} catch(error) {
+						console.warn(`⚠️ [SweeperService] Could not delete attachment ${ item.id }:`, error.message);
+						item.error = error.message;
+					}
+				}
+				await this.#forgetDeletedCovers(attachments.filter(item => item.deleted).map(item => item.id));
+
+				for(const item of files) {
+					try {
+						await fs.promises.rm(item.path, { force: true });
+						item.deleted = true;
+					} catch(error) {
+						console.warn(`⚠️ [SweeperService] Could not delete ${ item.path }:`, error.message);
+						item.error = error.message;
+					}
+				}
+			}
+
+			const removed = [ ...attachments, ...files ].filter(item => dryRun || item.deleted);
+			const report = {
+				dryRun,
+				cutoff: cutoff.toISOString(),
+				attachments: attachments.map(({ attachment, ...item }) => item),
+				files,
+				freedBytes: removed.reduce((total, item) => total + (item.size || 0), 0),
+			};
+
+			if(attachments.length || files.length) {
+				console.log(`🧺 [SweeperService] ${ dryRun ? 'Found' : 'Collected' } ${ attachments.length } attachment(s) and ${ files.length } temp file(s) (${ report.freedBytes } bytes)`);
+			}
+			return report;
+		} finally {
+			this.#running = false;
+		}
+	}
+
+	/**
+	 * Attachments older than the cutoff used by no AudioFile, no song cover
+	 * (by relation or, for older songs, by URL) and no running pipeline, up to
+	 * BATCH_SIZE. Pages through the candidates so that those still in use
+	 * cannot fill every batch.
+	 */
+	static async findOrphanedAttachments(cutoff) {
+		const activeTasks = await prisma.analysisTask.findMany({
+			where: { task_type: PipelineService.TASK_TYPE, status: { in: this.ACTIVE_TASK_STATUSES } },
+			select: { results: true },
+		});
+		const pipelineCovers = activeTasks
+			.map(task => task.results?.stages?.cover?.output?.attachmentId)
+			.filter(Boolean);
+
+		const orphans = [];
+		let lastId = 0;
+		while(orphans.length < this.BATCH_SIZE) {
+			const candidates = await prisma.attachment.findMany({
+				where: {
+					id: { gt: lastId, notIn: pipelineCovers },
+					created_at: { lt: cutoff },
+					audio_file: { is: null },
+					cover_songs: { none: {} },
+				},
+				orderBy: { id: 'asc' },
+				take: this.BATCH_SIZE,
+			});
+			if(!candidates.length) break;
+			lastId = candidates[candidates.length - 1].id;
+
+			// Canciones anteriores a cover_attachment_id: sólo guardan la URL
+			const coverUrls = new Set((await prisma.song.findMany({
+				where: { cover_image_url: { in: candidates.map(attachment => attachment.url) } },
+				select: { cover_image_url: true },
+			})).map(song => song.cover_image_url));
+
+			orphans.push(...candidates.filter(attachment => !coverUrls.has(attachment.url)));
+		}
+
+		return orphans.slice(0, this.BATCH_SIZE).map(attachment => ({
+			id: attachment.id,
+			url: attachment.url,
+			mime: attachment.mime,
+			size: attachment.size,
+			source: attachment.source,
+			created_at: attachment.created_at,
+			attachment,
+		}));
+	}
+
+	/**
+	 * MP3 files left in TEMP_AUDIO_PATH not modified since the cutoff.
+	 */
+	static async findTempFiles(cutoff) {
+		let entries;
+		try {
+			entries = await fs.promises.readdir(this.TEMP_AUDIO_PATH, { withFileTypes: true });
+		} catch(error) {
+			if(error.code === 'ENOENT') return [];
+			throw error;
+		}
+
+		const files = [];
+		for(const entry of entries) {
+			if(!entry.isFile()) continue;
+
+			const filePath = path.join(this.TEMP_AUDIO_PATH, entry.name);
+			const stats = await fs.promises.stat(filePath);
+			if(stats.mtime < cutoff) {
+				files.push({ path: filePath, size: stats.size, modified_at: stats.mtime });
+			}
+		}
+		return files;
+	}
+
+	/**
+	 * A failed generation can be resumed: drop the "cover" checkpoint whose
+	 * attachment was collected so the stage generates a new one.
+	 */
+	static async #forgetDeletedCovers(attachmentIds) {
+		if(!attachmentIds.length) return;
+
+		const tasks = await prisma.analysisTask.findMany({
+			where: { task_type: PipelineService.TASK_TYPE, status: 'failed' },
+			select: { id: true, results: true },
+		});
+
+		for(const task of tasks) {
+			const stages = task.results?.stages;
+			if(!attachmentIds.includes(stages?.cover?.output?.attachmentId)) continue;
+
+			const { cover, ...remaining } = stages;
+			await prisma.analysisTask.update({
+				where: { id: task.id },
+				data: { results: { ...task.results, stages: remaining } },
+			});
+		}
+	}
+}
+
+export default SweeperService;
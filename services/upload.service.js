@@ -1,30 +1,62 @@
 import 'dotenv/config';
+import crypto from 'crypto';
 import { PrismaClient } from '@prisma/client';
-import AWS from 'aws-sdk';
 import slugify from 'slugify';
+import os from 'os';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import axios from 'axios';
+import StorageService from '#services/storage.service.js';
+import SafeDownload from '#utils/safe-download.js';
 
 const prisma = new PrismaClient();
 
-// AWS SDK Configuration
-const spacesEndpoint = new AWS.Endpoint(process.env.SPACES_ENDPOINT);
-const s3 = new AWS.S3({
-  endpoint: spacesEndpoint,
-  accessKeyId: process.env.SPACES_KEY,
-  secretAccessKey: process.env.SPACES_SECRET,
-});
-
 const EXT_MAP = {
   'image/png': '.png',
   'image/jpeg': '.jpg',
   'image/gif': '.gif',
   'audio/mpeg': '.mp3',
   'audio/mp3': '.mp3',
+  'audio/wav': '.wav',
+  'image/webp': '.webp',
 };
 
+const hostList = (value) => value.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
 class UploadService {
+  // Directorio de los audios temporales antes de subirlos (los huérfanos los borra SweeperService)
+  static TEMP_AUDIO_PATH = path.resolve(process.env.TEMP_AUDIO_PATH || path.join(os.tmpdir(), 'git-karaoke'));
+
+  // Orígenes desde los que createAttachmentFromUrl puede descargar. Los hosts se
+  // pueden sobreescribir con SUNO_AUDIO_HOSTS / OPENAI_IMAGE_HOSTS="host1,host2"
+  static DOWNLOAD_ORIGINS = {
+    suno: {
+      hosts: hostList(process.env.SUNO_AUDIO_HOSTS || 'suno.ai,suno.com,erweima.ai,aiquickdraw.com,api.box'),
+      types: [ 'audio/mpeg', 'audio/wav' ],
+      maxBytes: parseInt(process.env.SUNO_MAX_DOWNLOAD_MB || '50', 10) * 1024 * 1024,
+      timeout: 120000,
+    },
+    openai: {
+      hosts: hostList(process.env.OPENAI_IMAGE_HOSTS || 'oaidalleapiprodscus.blob.core.windows.net,openai.com'),
+      types: [ 'image/png', 'image/jpeg', 'image/webp' ],
+      maxBytes: parseInt(process.env.OPENAI_MAX_DOWNLOAD_MB || '20', 10) * 1024 * 1024,
+      timeout: 60000,
+    },
+  };
+
+  /**
+   * SHA-256 (hex) de un contenido, la clave de deduplicación de los attachments.
+   */
+  static hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Sube un archivo y crea su attachment, o devuelve el existente con el mismo contenido.
+   * @param {Object} file - { originalname, mimetype, buffer, size }
+   * @param {Object} [params] - { acl, driver, metas, dedupe, sha256 }. `sha256` es el hash
+   *  con el que se deduplica cuando el buffer es una versión modificada de otro contenido
+   *  (p. ej. el MP3 original antes de escribirle etiquetas ID3, que cambian entre reintentos).
+   */
   static async createAttachment(file, params = {}) {
     console.log('🚀 [UploadService] createAttachment started');
     try {
@@ -34,6 +66,19 @@ class UploadService {
 
       console.log('🔍 MIME type detected:', mimeType);
 
+      // Mismo contenido ya subido (replay de callbacks, reprocesos...): reutilizamos el attachment.
+      // Con dedupe: false se guarda sin hash y queda fuera de la deduplicación (copias).
+      const sha256 = params.dedupe === false
+        ? null
+        : params.sha256 || this.hash(file.buffer);
+      if (sha256) {
+        const existing = await prisma.attachment.findUnique({ where: { sha256_acl: { sha256, acl } } });
+        if (existing) {
+          console.log(`♻️ Identical content already stored as attachment ${existing.id}, skipping upload`);
+          return existing;
+        }
+      }
+
       let extension = path.extname(file.originalname).toLowerCase();
       if (!extension) {
         console.log('⚠️ No extension found in original name, checking MIME map...');
@@ -59,37 +104,44 @@ class UploadService {
 
       console.log('📂 Key path for upload:', keyPath);
 
-      const s3Params = {
-        Bucket: process.env.SPACES_BUCKET_NAME,
-        Key: keyPath,
-        Body: fileBuffer,
-        ACL: acl,
-        ContentType: mimeType,
-      };
+      const driver = StorageService.driver(params.driver);
+
+      console.log(`📤 Uploading to storage driver "${driver.name}"`);
+
+      const { url, meta } = await driver.put(keyPath, fileBuffer, { contentType: mimeType, acl });
+
+      console.log('✅ Uploaded:', url);
 
-      console.log('📤 Uploading to S3 with params:', s3Params);
-
-      const data = await s3.upload(s3Params).promise();
-
-      console.log('✅ Uploaded to DigitalOcean:', data);
-
-      const attachment = await prisma.attachment.create({
-        data: {
-          name: file.originalname,
-          slug: filename,
-          url: data.Location,
-          attachment: keyPath,
-          mime: mimeType,
-          size: file.size,
-          source: 'digitalocean',
-          acl,
-          metas: {
-            location: data.Location,
-            s3: data,
-            ...paramMetas,
+      let attachment;
+      try {
+        attachment = await prisma.attachment.create({
+          data: {
+            name: file.originalname,
+            slug: filename,
+            url,
+            attachment: keyPath,
+            mime: mimeType,
+            size: file.size,
+            source: driver.name,
+            acl,
+            sha256,
+            metas: {
+              ...meta,
+              ...paramMetas,
+            },
           },
-        },
-      });
+        });
+      } catch (error) {
+        if (error.code !== 'P2002' || !sha256) throw error;
+
+        // Otra subida del mismo contenido se registró mientras subíamos: nos quedamos con la suya
+        const winner = await prisma.attachment.findUnique({ where: { sha256_acl: { sha256, acl } } });
+        if (!winner) throw error;
+
+        await driver.delete(keyPath);
+        console.log(`♻️ Identical content stored concurrently as attachment ${winner.id}, discarded our upload`);
+        return winner;
+      }
 
       console.log('✅ Attachment record created in DB:', attachment);
 
@@ -108,13 +160,15 @@ class UploadService {
       });
       if (!attachment) throw new Error('Attachment not found');
 
-      const s3Params = {
-        Bucket: process.env.SPACES_BUCKET_NAME,
-        Key: attachment.attachment,
-      };
+      const object = await StorageService.forAttachment(attachment).get(attachment.attachment);
+      console.log(`✅ Attachment downloaded (${object.size} bytes)`);
 
-      const data = await s3.getObject(s3Params).promise();
-      console.log('✅ Attachment downloaded:', data);
+      // Mismo formato que devolvía S3 getObject
+      const data = {
+        Body: object.body,
+        ContentType: object.contentType || attachment.mime,
+        ContentLength: object.size,
+      };
 
       return { attachment, data };
     } catch (error) {
@@ -123,22 +177,97 @@ class UploadService {
     }
   }
 
+  /**
+   * Sube una copia independiente del objeto de un attachment, sin deduplicar
+   * (para cuando el original ya está en uso y no se puede compartir).
+   */
+  static async copyAttachment(id) {
+    const { attachment, data } = await this.downloadAttachment(id);
+    const buffer = Buffer.from(data.Body);
+
+    return this.createAttachment({
+      originalname: attachment.name,
+      mimetype: attachment.mime,
+      buffer,
+      size: buffer.length,
+    }, {
+      acl: attachment.acl,
+      driver: attachment.source,
+      dedupe: false,
+      metas: { copyOf: attachment.id },
+    });
+  }
+
+  /**
+   * Tamaño, tipo y fecha del objeto de un attachment (sin descargarlo).
+   */
+  static async getAttachmentInfo(attachment) {
+    const head = await StorageService.forAttachment(attachment).head(attachment.attachment);
+    return { ...head, contentType: head.contentType || attachment.mime };
+  }
+
+  /**
+   * Stream de lectura del objeto de un attachment, opcionalmente de un rango de bytes.
+   * @param {Object} attachment
+   * @param {Object} [range] - { start, end } inclusivos
+   */
+  static getAttachmentStream(attachment, range = null) {
+    return StorageService.forAttachment(attachment).getStream(attachment.attachment, range);
+  }
+
+  /**
+   * URL temporal firmada para descargar el objeto de un attachment.
+   * @param {Object} attachment
+   * @param {number} [expiresIn=3600] - Segundos de validez
+   */
+  static async getSignedUrl(attachment, expiresIn = 3600) {
+    return StorageService.forAttachment(attachment).signedUrl(attachment.attachment, { expiresIn });
+  }
+
+  /**
+   * Borra el objeto del almacenamiento y el registro del attachment.
+   */
+  static async deleteAttachment(attachment) {
+    await StorageService.forAttachment(attachment).delete(attachment.attachment);
+    await prisma.attachment.delete({ where: { id: attachment.id } });
+  }
+
+  /**
+   * Descarga un archivo remoto y lo sube como attachment.
+   * @param {string} url
+   * @param {Object} params - Los de createAttachment, más:
+   * @param {string} params.origin - Clave de DOWNLOAD_ORIGINS (hosts, tipos y tamaño permitidos)
+   * @param {Function} [params.transform] - (buffer) => buffer, se aplica antes de subir
+   */
   static async createAttachmentFromUrl(url, params = {}) {
     console.log(`🚀 Creating attachment from URL: ${url}`);
     try {
-      const response = await axios.get(url, { responseType: 'arraybuffer' });
-      const contentLength = parseInt(response.headers['content-length'] || '0', 10);
+      const policy = this.DOWNLOAD_ORIGINS[params.origin];
+      if (!policy) throw new Error(`Unknown download origin: ${params.origin}`);
+
+      const download = await SafeDownload.fetch(url, policy);
+
+      let buffer = download.buffer;
+      // Se deduplica por el contenido descargado, no por el resultado de transform
+      const sha256 = this.hash(buffer);
+      // Permite modificar el archivo antes de subirlo (p. ej. escribir etiquetas ID3)
+      if (typeof params.transform === 'function') {
+        buffer = await params.transform(buffer);
+      }
 
+      // El tipo sale del contenido; la extensión de la URL no es fiable
+      const { pathname } = new URL(download.url);
+      const baseName = path.basename(pathname, path.extname(pathname)) || 'file';
       const file = {
-        originalname: url.split('/').pop(),
-        mimetype: response.headers['content-type'] || '',
-        buffer: Buffer.from(response.data),
-        size: contentLength,
+        originalname: `${baseName}${EXT_MAP[download.mime] || ''}`,
+        mimetype: download.mime,
+        buffer,
+        size: buffer.length,
       };
 
       console.log('📥 File downloaded from URL:', file.originalname, file.mimetype);
 
-      const attachment = await this.createAttachment(file, params);
+      const attachment = await this.createAttachment(file, { ...params, sha256 });
 
       console.log('✅ Attachment from URL created successfully:', attachment);
 
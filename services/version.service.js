@@ -0,0 +1,167 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Versiones (renders) de una canción y selección del take principal.
+ *
+ * Cada tarea de Suno queda registrada como una SongVersion con el snapshot de
+ * letra/estilo/modelo que se envió; los AudioFiles que llegan por el callback se
+ * enlazan a su versión, y uno de ellos puede marcarse como take principal.
+ */
+class VersionService {
+	/**
+	 * Records a new render of a song with the next version number.
+	 */
+	static async create(songId, data) {
+		const last = await prisma.songVersion.findFirst({
+			where: { song_id: songId },
+			orderBy: { number: 'desc' },
+			select: { number: true },
+		});
+
+		return prisma.songVersion.create({
+			data: {
+				kind: 'render',
+				status: 'pending',
+				...data,
+				number: (last?.number || 0) + 1,
+				song: { connect: { id: songId } },
+			},
+		});
+	}
+
+	/**
+	 * Resolves a Suno task id to its version and song. Songs generated before
+	 * versions existed only have Song.suno_task_id: their version 1 is created here.
+	 */
+	static async findBySunoTaskId(sunoTaskId) {
+		if(!sunoTaskId) return { song: null, version: null };
+
+		const version = await prisma.songVersion.findUnique({
+			where: { suno_task_id: sunoTaskId },
+			include: { song: true },
+		});
+		if(version) {
+			const { song, ...versionData } = version;
+			return { song, version: versionData };
+		}
+
+		const song = await prisma.song.findUnique({
+			where: { suno_task_id: sunoTaskId },
+		});
+		if(!song) return { song: null, version: null };
+
+		const legacyVersion = await this.create(song.id, {
+			kind: 'original',
+			title: song.title,
+			lyrics: song.lyrics,
+			style: song.style,
+			instrumental: song.instrumental,
+			model: 'V3_5',
+			suno_task_id: sunoTaskId,
+			status: song.status === 'completed' ? 'completed' : 'pending',
+		});
+
+		return { song, version: legacyVersion };
+	}
+
+	/**
+	 * Lists every version of a song with its audio files (newest first).
+	 */
+	static async listForSong(songId) {
+		await this.#adoptLegacyAudioFiles(songId);
+
+		return prisma.songVersion.findMany({
+			where: { song_id: songId },
+			orderBy: { number: 'desc' },
+			include: {
+				audio_files: {
+					orderBy: { id: 'asc' },
+					include: { attachment: true },
+				},
+			},
+		});
+	}
+
+	/**
+	 * AudioFiles from before versions existed have no version_id: they are the
+	 * original render, so they are linked to its version (created if needed).
+	 */
+	static async #adoptLegacyAudioFiles(songId) {
+		const legacyCount = await prisma.audioFile.count({ where: { song_id: songId, version_id: null } });
+		if(!legacyCount) return;
+
+		let original = await prisma.songVersion.findFirst({
+			where: { song_id: songId, kind: 'original' },
+			orderBy: { number: 'asc' },
+		});
+		if(!original) {
+			const song = await prisma.song.findUnique({ where: { id: songId } });
+			original = song.suno_task_id
+				? (await this.findBySunoTaskId(song.suno_task_id)).version
+				: await this.create(songId, {
+					kind: 'original',
+					title: song.title,
+					lyrics: song.lyrics,
+					style: song.style,
+					instrumental: song.instrumental,
+					model: 'V3_5',
+					status: 'completed',
+				});
+		}
+
+		await prisma.audioFile.updateMany({
+			where: { song_id: songId, version_id: null },
+			data: { version_id: original.id },
+		});
+		console.log(`🗂️ [VersionService] Linked ${ legacyCount } legacy audio file(s) of song ${ songId } to version ${ original.number }`);
+	}
+
+	/**
+	 * Marks one AudioFile of the song as its primary take.
+	 */
+	static async setPrimaryAudioFile(songId, audioFileId) {
+		const audioFile = await prisma.audioFile.findUnique({ where: { id: audioFileId } });
+		if(!audioFile || audioFile.song_id !== songId) {
+			throw new Error('Audio file not found for this song');
+		}
+
+		await prisma.$transaction([
+			prisma.audioFile.updateMany({
+				where: { song_id: songId, is_primary: true },
+				data: { is_primary: false },
+			}),
+			prisma.audioFile.update({
+				where: { id: audioFileId },
+				data: { is_primary: true },
+			}),
+		]);
+
+		return prisma.audioFile.findUnique({ where: { id: audioFileId } });
+	}
+
+	/**
+	 * Picks a primary take when the song has none yet (first track of the first completed render).
+	 */
+	static async ensurePrimaryAudioFile(songId) {
+		const primary = await prisma.audioFile.findFirst({
+			where: { song_id: songId, is_primary: true },
+		});
+		if(primary) return primary;
+
+		const first = await prisma.audioFile.findFirst({
+			where: { song_id: songId },
+			orderBy: { id: 'asc' },
+		});
+		if(!first) return null;
+
+		return prisma.audioFile.update({
+			where: { id: first.id },
+			data: { is_primary: true },
+		});
+	}
+}
+
+export default VersionService;
@@ -0,0 +1,147 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import { MPEGDecoder } from 'mpg123-decoder';
+import UploadService from '#services/upload.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Análisis de los MP3 generados: duración exacta, tamaño y picos de forma de onda.
+ *
+ * El MP3 se decodifica en el servidor por bloques (mpg123 en WASM) acumulando
+ * el pico absoluto de cada ventana de BASE_WINDOW muestras; a partir de esos
+ * picos se guardan varias resoluciones en AudioFile.waveform_data.
+ */
+class WaveformService {
+	static BASE_WINDOW = 512; // muestras por pico en la resolución base
+	static LEVELS = [ 256, 1024, 4096 ]; // número de puntos guardados
+	static DEFAULT_POINTS = 1024;
+	static CHUNK_SIZE = 64 * 1024; // bytes de MP3 por llamada al decoder
+
+	/**
+	 * Decodes an MP3 buffer.
+	 * @returns {Promise<Object>} { duration, sampleRate, fileSize, levels: { [points]: number[] } }
+	 */
+	static async analyze(buffer) {
+		const decoder = new MPEGDecoder();
+		await decoder.ready;
+
+		const basePeaks = [];
+		let windowPeak = 0;
+		let windowFill = 0;
+		let totalSamples = 0;
+		let sampleRate = 0;
+
+		try {
+			for(let offset = 0; offset < buffer.length; offset += this.CHUNK_SIZE) {
+				const chunk = new Uint8Array(buffer.buffer, buffer.byteOffset + offset, Math.min(this.CHUNK_SIZE, buffer.length - offset));
+				const { channelData, samplesDecoded, sampleRate: rate } = decoder.decode(chunk);
+				if(!samplesDecoded) continue;
+
+				sampleRate = rate || sampleRate;
+				totalSamples += samplesDecoded;
+
+				for(let i = 0; i < samplesDecoded; i++) {
+					// Mezcla a mono tomando el canal más fuerte
+					let sample = 0;
+					for(const channel of channelData) {
+						const value = Math.abs(channel[i]);
+						if(value > sample) sample = value;
+					}
+					if(sample > windowPeak) windowPeak = sample;
+
+					if(++windowFill === this.BASE_WINDOW) {
+						basePeaks.push(windowPeak);
+						windowPeak = 0;
+						windowFill = 0;
+					}
+				}
+			}
+		} finally {
+			decoder.free();
+		}
+
+		if(windowFill) basePeaks.push(windowPeak);
+		if(!totalSamples || !sampleRate) throw new Error('Could not decode any audio frame');
+
+		const levels = {};
+		for(const points of this.LEVELS) {
+			levels[points] = this.resample(basePeaks, points);
+		}
+
+		return {
+			duration: totalSamples / sampleRate,
+			sampleRate,
+			fileSize: buffer.length,
+			levels,
+		};
+	}
+
+	/**
+	 * Reduces a peak array to `points` values (max of each group), normalized to 0..1
+	 * and rounded to 3 decimals. Arrays shorter than `points` are returned as is.
+	 */
+	static resample(peaks, points) {
+		const max = peaks.reduce((acc, peak) => Math.max(acc, peak), 0) || 1;
+		const round = value => Math.round((value / max) * 1000) / 1000;
+
+		if(peaks.length <= points) return peaks.map(round);
+
+		const result = new Array(points);
+		const step = peaks.length / points;
+		for(let i = 0; i < points; i++) {
+			let peak = 0;
+			const end = Math.min(peaks.length, Math.ceil((i + 1) * step));
+			for(let j = Math.floor(i * step); j < end; j++) {
+				if(peaks[j] > peak) peak = peaks[j];
+			}
+			result[i] = round(peak);
+		}
+		return result;
+	}
+
+	/**
+	 * Analyzes an AudioFile (from the given buffer or downloading its attachment)
+	 * and stores duration, file_size and waveform_data on it.
+	 */
+	static async analyzeAudioFile(audioFile, buffer = null) {
+		let audioBuffer = buffer;
+		if(!audioBuffer) {
+			if(!audioFile.attachment_id) throw new Error('Audio file has no attachment to analyze');
+			const { data } = await UploadService.downloadAttachment(audioFile.attachment_id);
+			audioBuffer = Buffer.from(data.Body);
+		}
+
+		console.log(`📈 [WaveformService] Analyzing audio file ${ audioFile.id } (${ audioBuffer.length } bytes)`);
+		const { duration, sampleRate, fileSize, levels } = await this.analyze(audioBuffer);
+
+		return prisma.audioFile.update({
+			where: { id: audioFile.id },
+			data: {
+				duration,
+				file_size: fileSize,
+				waveform_data: {
+					sample_rate: sampleRate,
+					analyzed_at: new Date().toISOString(),
+					levels,
+				},
+			},
+		});
+	}
+
+	/**
+	 * Returns `points` peaks from the stored levels, taking the smallest level that
+	 * has enough resolution and reducing it.
+	 */
+	static getPeaks(waveformData, points = this.DEFAULT_POINTS) {
+		const available = Object.keys(waveformData?.levels || {})
+			.map(Number)
+			.sort((a, b) => a - b);
+		if(!available.length) return [];
+
+		const level = available.find(size => size >= points) || available[available.length - 1];
+		return this.resample(waveformData.levels[level], points);
+	}
+}
+
+export default WaveformService;
@@ -37,18 +37,13 @@ async function testGenerateSongFromRepo() {
     console.log('✅ Song generation initiated successfully:');
     console.log(JSON.stringify(result, null, 2));
 
-    // Store task ID
-    tasks.set(result.song.taskId, {
-      status: 'pending',
+    // Store song ID (the Suno task ID is only known once the pipeline reaches the "suno" stage)
+    tasks.set(result.songId, {
+      status: result.status,
       repository: result.repository,
-      song: result.song
+      taskId: result.taskId
     });
 
-    // Optionally wait for completion
-    console.log('⏳ Waiting for song generation to complete...');
-    const completedTask = await KaraokeService.waitForSongCompletion(result.song.taskId);
-    console.log('✅ Song generation completed:', completedTask);
-
     return result;
   } catch (error) {
     console.error('❌ Test failed:', error.message);
@@ -7,11 +7,12 @@ import UploadService from './services/upload.service.js'; // Ajusta la ruta a tu
   try {
     console.log('--- Test: createAttachmentFromUrl ---');
 
-    // URL de ejemplo para probar. Ajusta a una imagen, audio o lo que quieras:
-    const fileUrl = 'https://picsum.photos/300/300';
+    // URL de ejemplo para probar. Ajusta a un audio o imagen de un host permitido
+    // en UploadService.DOWNLOAD_ORIGINS para el origen que uses:
+    const fileUrl = 'https://cdn1.suno.ai/example.mp3';
 
     // Llamamos a createAttachmentFromUrl
-    const attachmentFromUrl = await UploadService.createAttachmentFromUrl(fileUrl);
+    const attachmentFromUrl = await UploadService.createAttachmentFromUrl(fileUrl, { origin: 'suno' });
     console.log('✅ Se creó attachment desde URL:');
     console.log(attachmentFromUrl);
 
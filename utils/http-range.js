@@ -0,0 +1,43 @@
+/**
+ * Cabecera HTTP Range (un único rango de bytes, RFC 7233).
+ */
+class HttpRange {
+	/**
+	 * Parses a Range header against the size of the resource.
+	 *
+	 * @param {string} header - e.g. "bytes=0-1023", "bytes=1024-", "bytes=-500"
+	 * @param {number} size - total size in bytes
+	 * @returns {Object|null} { start, end } (inclusive), { unsatisfiable: true }, or
+	 *  null when there is no usable range (multiple ranges, other units, a last byte
+	 *  before the first...) and the whole resource should be sent.
+	 */
+	static parse(header, size) {
+		if(!header) return null;
+
+		const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+		if(!match) return null;
+
+		const [ , rawStart, rawEnd ] = match;
+		if(rawStart === '' && rawEnd === '') return null;
+
+		let start;
+		let end;
+		if(rawStart === '') {
+			// Sufijo: los últimos N bytes
+			const suffix = parseInt(rawEnd, 10);
+			if(!suffix) return { unsatisfiable: true };
+			start = Math.max(0, size - suffix);
+			end = size - 1;
+		} else {
+			start = parseInt(rawStart, 10);
+			// "bytes=500-100" no es un rango válido: se ignora (RFC 7233, 2.1)
+			if(rawEnd !== '' && parseInt(rawEnd, 10) < start) return null;
+			end = rawEnd === '' ? size - 1 : Math.min(parseInt(rawEnd, 10), size - 1);
+		}
+
+		if(start >= size) return { unsatisfiable: true };
+		return { start, end };
+	}
+}
+
+export default HttpRange;
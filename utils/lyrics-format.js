@@ -0,0 +1,131 @@
+/**
+ * Conversión de letras sincronizadas a formatos de subtítulos/karaoke.
+ *
+ * Trabaja sobre líneas { text, start, end, words? } en segundos, tal como las
+ * guarda KaraokeService en AudioFile.lyrics_timestamps.
+ */
+class LyricsFormat {
+	static FORMATS = [ 'lrc', 'vtt', 'srt' ];
+
+	static MIME_TYPES = {
+		lrc: 'text/plain; charset=utf-8',
+		vtt: 'text/vtt; charset=utf-8',
+		srt: 'application/x-subrip; charset=utf-8',
+	};
+
+	// Duración mínima de una línea para que los reproductores la lleguen a mostrar
+	static MIN_LINE_SECONDS = 0.5;
+
+	/**
+	 * Builds the lines to export from stored timestamps: each word is assigned to the
+	 * line whose time range contains it (for enhanced LRC), and the lines are sorted
+	 * and trimmed so they never overlap.
+	 * @returns {Array|null} null when there are no usable word timestamps
+	 */
+	static linesFromTimestamps(timestamps) {
+		const words = timestamps?.words || [];
+		const lines = timestamps?.lines || [];
+		if(!words.length || !lines.length) return null;
+
+		const grouped = [ ...lines ]
+			.sort((a, b) => a.start - b.start)
+			.map(line => ({
+				...line,
+				words: words.filter(word => word.start >= line.start && word.end <= line.end),
+			}));
+
+		return this.#normalize(grouped);
+	}
+
+	/**
+	 * Fallback without word timestamps: the lyric lines spread evenly over the track.
+	 */
+	static evenlySpacedLines(lyrics, duration) {
+		const texts = String(lyrics || '')
+			.split('\n')
+			.map(line => line.replace(/\[[^\]]*\]/g, '').trim())
+			.filter(Boolean);
+		if(!texts.length) return [];
+
+		const step = (duration > 0 ? duration : texts.length * 4) / texts.length;
+		return texts.map((text, index) => ({
+			text,
+			start: index * step,
+			end: (index + 1) * step,
+			words: [],
+		}));
+	}
+
+	/**
+	 * Renders the lines in the given format.
+	 * @param {string} format - lrc, vtt or srt
+	 * @param {Array} lines
+	 * @param {Object} [meta] - { title, artist, duration } (LRC header tags)
+	 */
+	static render(format, lines, meta = {}) {
+		if(format === 'lrc') return this.toLrc(lines, meta);
+		if(format === 'vtt') return this.toVtt(lines);
+		if(format === 'srt') return this.toSrt(lines);
+		throw new Error(`Unsupported lyrics format: ${ format }`);
+	}
+
+	/**
+	 * LRC; when the lines carry words it produces enhanced (word-level) LRC:
+	 * [00:12.00]<00:12.00>Waking <00:12.48>up
+	 */
+	static toLrc(lines, { title, artist, duration } = {}) {
+		const header = [];
+		if(title) header.push(`[ti:${ title }]`);
+		if(artist) header.push(`[ar:${ artist }]`);
+		if(duration) header.push(`[length:${ this.#lrcTime(duration).slice(0, 5) }]`);
+
+		const body = lines.map(line => {
+			const text = line.words?.length
+				? line.words.map(word => `<${ this.#lrcTime(word.start) }>${ word.word }`).join(' ')
+				: line.text;
+			return `[${ this.#lrcTime(line.start) }]${ text }`;
+		});
+
+		return [ ...header, ...body ].join('\n') + '\n';
+	}
+
+	static toVtt(lines) {
+		const cues = lines.map((line, index) =>
+			`${ index + 1 }\n${ this.#cueTime(line.start, '.') } --> ${ this.#cueTime(line.end, '.') }\n${ line.text }`);
+		return `WEBVTT\n\n${ cues.join('\n\n') }\n`;
+	}
+
+	static toSrt(lines) {
+		const cues = lines.map((line, index) =>
+			`${ index + 1 }\n${ this.#cueTime(line.start, ',') } --> ${ this.#cueTime(line.end, ',') }\n${ line.text }`);
+		return `${ cues.join('\n\n') }\n`;
+	}
+
+	static #normalize(lines) {
+		return lines.map((line, index) => {
+			const next = lines[index + 1];
+			let end = Math.max(line.end, line.start + this.MIN_LINE_SECONDS);
+			if(next && end > next.start) end = Math.max(next.start, line.start);
+			return { ...line, end };
+		});
+	}
+
+	// mm:ss.xx
+	static #lrcTime(seconds) {
+		const centis = Math.round(Math.max(0, seconds) * 100);
+		const minutes = Math.floor(centis / 6000);
+		const secs = Math.floor((centis % 6000) / 100);
+		return `${ String(minutes).padStart(2, '0') }:${ String(secs).padStart(2, '0') }.${ String(centis % 100).padStart(2, '0') }`;
+	}
+
+	// hh:mm:ss.mmm (VTT) / hh:mm:ss,mmm (SRT)
+	static #cueTime(seconds, separator) {
+		const millis = Math.round(Math.max(0, seconds) * 1000);
+		const hours = Math.floor(millis / 3600000);
+		const minutes = Math.floor((millis % 3600000) / 60000);
+		const secs = Math.floor((millis % 60000) / 1000);
+		return `${ String(hours).padStart(2, '0') }:${ String(minutes).padStart(2, '0') }:${ String(secs).padStart(2, '0') }${ separator }${ String(millis % 1000).padStart(3, '0') }`;
+	}
+}
+
+export default LyricsFormat;
@@ -0,0 +1,221 @@
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import axios from 'axios';
+
+/**
+ * Descarga de archivos remotos sin SSRF.
+ *
+ * Sólo HTTPS hacia los hosts permitidos de cada origen; la IP resuelta se
+ * comprueba en el propio lookup de la conexión (también tras redirecciones),
+ * así que un DNS que apunte a la red interna se rechaza. El cuerpo se corta en
+ * cuanto supera el límite de bytes y el tipo se deduce de los primeros bytes,
+ * no de la cabecera Content-Type.
+ */
+
+// Rangos que nunca se descargan: loopback, redes privadas, link-local, CGNAT, multicast...
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+	[ '0.0.0.0', 8 ], [ '10.0.0.0', 8 ], [ '100.64.0.0', 10 ], [ '127.0.0.0', 8 ],
+	[ '169.254.0.0', 16 ], [ '172.16.0.0', 12 ], [ '192.0.0.0', 24 ], [ '192.168.0.0', 16 ],
+	[ '198.18.0.0', 15 ], [ '224.0.0.0', 3 ],
+].forEach(([ network, prefix ]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+	[ '::', 127 ], [ 'fc00::', 7 ], [ 'fe80::', 10 ], [ 'ff00::', 8 ], [ '64:ff9b::', 96 ],
+].forEach(([ network, prefix ]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+// Firmas de los tipos que aceptamos (offset, bytes)
+const SIGNATURES = [
+	{ mime: 'image/png', offset: 0, bytes: [ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ] },
+	{ mime: 'image/jpeg', offset: 0, bytes: [ 0xFF, 0xD8, 0xFF ] },
+	{ mime: 'image/gif', offset: 0, bytes: [ 0x47, 0x49, 0x46, 0x38 ] },
+	{ mime: 'image/webp', offset: 8, bytes: [ 0x57, 0x45, 0x42, 0x50 ], riff: true },
+	{ mime: 'audio/wav', offset: 8, bytes: [ 0x57, 0x41, 0x56, 0x45 ], riff: true },
+	{ mime: 'audio/mpeg', offset: 0, bytes: [ 0x49, 0x44, 0x33 ] }, // etiqueta ID3v2
+];
+
+class SafeDownload {
+	static MAX_REDIRECTS = 3;
+	static RETRY_DELAY_MS = 500;
+
+	/**
+	 * Downloads a URL into memory under a policy.
+	 *
+	 * @param {string} url
+	 * @param {Object} policy
+	 * @param {string[]} policy.hosts - Allowed hosts (exact or subdomain)
+	 * @param {string[]} policy.types - Allowed MIME types, checked against the sniffed type
+	 * @param {number} policy.maxBytes - Body size limit
+	 * @param {number} [policy.timeout=30000] - Per attempt, in ms
+	 * @param {number} [policy.retries=2] - Extra attempts on network errors, 429 and 5xx
+	 * @returns {Promise<Object>} { buffer, mime, size, url } — url is the final one after redirects
+	 */
+	static async fetch(url, { hosts, types, maxBytes, timeout = 30000, retries = 2 }) {
+		for(let attempt = 0; ; attempt++) {
+			try {
+				const { buffer, finalUrl } = await this.#download(url, { hosts, maxBytes, timeout });
+
+				const mime = this.sniffMime(buffer);
+				if(!mime || !types.includes(mime)) {
+					throw this.#rejected(`Unexpected content type ${ mime || 'unknown' } (allowed: ${ types.join(', ') })`);
+				}
+
+				return { buffer, mime, size: buffer.length, url: finalUrl };
+			} catch(error) {
+				if(attempt >= retries || !this.#isRetryable(error)) throw error;
+
+				const delay = this.RETRY_DELAY_MS * 2 ** attempt;
+				console.warn(`⚠️ [SafeDownload] ${ error.message } — retrying in ${ delay }ms (${ attempt + 1 }/${ retries })`);
+				await new Promise(resolve => setTimeout(resolve, delay));
+			}
+		}
+	}
+
+	/**
+	 * True if the URL is HTTPS and its host is one of `hosts` or a subdomain of one.
+	 */
+	static isAllowedUrl(rawUrl, hosts) {
+		let url;
+		try {
+			url = new URL(rawUrl);
+		} catch {
+			return false;
+		}
+		if(url.protocol !== 'https:') return false;
+
+		const hostname = url.hostname.toLowerCase();
+		return hosts.some(host => hostname === host || hostname.endsWith(`.${ host }`));
+	}
+
+	/**
+	 * True for loopback, private, link-local and other non-public addresses.
+	 */
+	static isBlockedAddress(address) {
+		// IPv4 mapeada en IPv6 (::ffff:127.0.0.1)
+		const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+		if(mapped) return BLOCKED_NETWORKS.check(mapped[1], 'ipv4');
+
+		const family = net.isIP(address);
+		if(!family) return true;
+		return BLOCKED_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+	}
+
+	/**
+	 * MIME type from the first bytes of the content, or null if unknown.
+	 */
+	static sniffMime(buffer) {
+		const riff = buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF';
+
+		for(const signature of SIGNATURES) {
+			if(signature.riff && !riff) continue;
+			if(buffer.length < signature.offset + signature.bytes.length) continue;
+			if(signature.bytes.every((byte, i) => buffer[signature.offset + i] === byte)) return signature.mime;
+		}
+
+		// MP3 sin etiqueta: sincronía de frame MPEG (11 bits a 1)
+		if(buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) return 'audio/mpeg';
+
+		return null;
+	}
+
+	static async #download(url, { hosts, maxBytes, timeout }) {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), timeout);
+		const lookup = (hostname, options, callback) => this.#lookup(hostname, options, callback);
+
+		try {
+			let currentUrl = url;
+			for(let redirects = 0; ; redirects++) {
+				if(!this.isAllowedUrl(currentUrl, hosts)) throw this.#rejected(`Host not allowed: ${ currentUrl }`);
+
+				const response = await axios.get(currentUrl, {
+					responseType: 'stream',
+					maxRedirects: 0,
+					validateStatus: status => status < 400,
+					signal: controller.signal,
+					httpAgent: new http.Agent({ lookup }),
+					httpsAgent: new https.Agent({ lookup }),
+				});
+
+				if(response.status >= 300) {
+					response.data.destroy();
+					if(!response.headers.location) throw new Error(`Redirect ${ response.status } without Location`);
+					if(redirects >= this.MAX_REDIRECTS) throw this.#rejected('Too many redirects');
+					currentUrl = new URL(response.headers.location, currentUrl).toString();
+					continue;
+				}
+
+				const declared = parseInt(response.headers['content-length'] || '0', 10);
+				if(declared > maxBytes) {
+					response.data.destroy();
+					throw this.#rejected(`File too large: ${ declared } bytes (max ${ maxBytes })`);
+				}
+
+				const buffer = await this.#readLimited(response.data, maxBytes);
+				return { buffer, finalUrl: currentUrl };
+			}
+		} catch(error) {
+			if(controller.signal.aborted && error.code !== 'DOWNLOAD_REJECTED') {
+				throw new Error(`Download timed out after ${ timeout }ms`);
+			}
+			throw error;
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+
+	static #readLimited(stream, maxBytes) {
+		return new Promise((resolve, reject) => {
+			const chunks = [];
+			let received = 0;
+
+			stream.on('data', chunk => {
+				received += chunk.length;
+				if(received > maxBytes) {
+					stream.destroy();
+					reject(this.#rejected(`File too large: more than ${ maxBytes } bytes`));
+					return;
+				}
+				chunks.push(chunk);
+			});
+			stream.on('end', () => resolve(Buffer.concat(chunks)));
+			stream.on('error', reject);
+			// Conexión cortada (o abortada por timeout) antes del final
+			stream.on('close', () => reject(new Error('Connection closed before the download finished')));
+		});
+	}
+
+	/**
+	 * dns.lookup that refuses non-public addresses; used by the connection itself,
+	 * so the checked IP is the one we connect to.
+	 */
+	static #lookup(hostname, options, callback) {
+		dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+			if(error) return callback(error);
+
+			const blocked = addresses.find(({ address }) => this.isBlockedAddress(address));
+			if(blocked) return callback(this.#rejected(`Host ${ hostname } resolves to a non-public address (${ blocked.address })`));
+
+			if(options.all) return callback(null, addresses);
+			return callback(null, addresses[0].address, addresses[0].family);
+		});
+	}
+
+	static #isRetryable(error) {
+		if(error.code === 'DOWNLOAD_REJECTED') return false;
+
+		const status = error.response?.status;
+		if(status) return status === 429 || status >= 500;
+		return true; // errores de red y timeouts
+	}
+
+	// Errores de política: no se reintentan
+	static #rejected(message) {
+		const error = new Error(message);
+		error.code = 'DOWNLOAD_REJECTED';
+		return error;
+	}
+}
+
+export default SafeDownload;
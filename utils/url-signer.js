@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+
+/**
+ * URLs firmadas y con caducidad para rutas de esta API (p. ej. el stream de un
+ * track privado): `path?expires=<unix>&signature=<hmac>`.
+ */
+class UrlSigner {
+	/**
+	 * Whether STORAGE_SIGNING_SECRET is set (without it nothing can be signed).
+	 */
+	static isConfigured() {
+		return Boolean(process.env.STORAGE_SIGNING_SECRET);
+	}
+
+	static #secret() {
+		const secret = process.env.STORAGE_SIGNING_SECRET;
+		if(!secret) throw new Error('STORAGE_SIGNING_SECRET is required to sign URLs');
+		return secret;
+	}
+
+	static #signature(path, expires) {
+		return crypto.createHmac('sha256', this.#secret()).update(`${ path }:${ expires }`).digest('hex');
+	}
+
+	/**
+	 * @param {string} path - e.g. /karaoke/1/tracks/2/stream
+	 * @param {number} expiresIn - seconds
+	 */
+	static sign(path, expiresIn) {
+		const expires = Math.floor(Date.now() / 1000) + expiresIn;
+		return `${ path }?expires=${ expires }&signature=${ this.#signature(path, expires) }`;
+	}
+
+	static verify(path, expires, signature) {
+		if(!this.isConfigured() || !expires || !signature) return false;
+		if(Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+		const expected = Buffer.from(this.#signature(path, expires));
+		const received = Buffer.from(String(signature));
+		return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+	}
+}
+
+export default UrlSigner;